@@ -0,0 +1,32 @@
+import { createChallenge, AuthError } from '../server/auth.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { address } = req.body || {};
+
+    const challenge = await createChallenge(req, address);
+
+    res.status(200).json(challenge);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Auth challenge error:', error);
+    res.status(500).json({ error: 'Failed to create sign-in challenge' });
+  }
+}
@@ -0,0 +1,43 @@
+import { getSession, revokeSessions, clearSessionCookie } from '../server/auth.js';
+
+/**
+ * GET: the signed-in wallet (401 when signed out). DELETE: sign out, which
+ * also revokes the wallet's other session tokens (cookies and bearer tokens).
+ */
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,DELETE');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getSession(req);
+
+    if (req.method === 'DELETE') {
+      if (session) {
+        await revokeSessions(session.address);
+      }
+      clearSessionCookie(res);
+      return res.status(200).json({ success: true });
+    }
+
+    if (!session) {
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    res.status(200).json(session);
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ error: 'Failed to read session' });
+  }
+}
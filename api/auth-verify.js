@@ -0,0 +1,36 @@
+import { verifyChallenge, setSessionCookie, AuthError } from '../server/auth.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { message, signature } = req.body || {};
+
+    const session = await verifyChallenge(message, signature);
+    setSessionCookie(req, res, session.token, session.expiresAt);
+
+    console.log(`🔑 Signed in ${session.address}`);
+
+    // Token is also returned for clients that can't use cookies (Authorization: Bearer)
+    res.status(200).json(session);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Auth verify error:', error);
+    res.status(500).json({ error: 'Failed to verify sign-in' });
+  }
+}
@@ -1,9 +1,7 @@
-import { generateStarClaimSignature } from '../server/signer.js';
-
-// Use timestamp-based nonces to avoid collisions in serverless environment
-function generateNonce() {
-  return Math.floor(Date.now() / 1000); // Current timestamp in seconds
-}
+import { claimRoundStars, claimReceiptStars, renewRoundsClaim, RoundError } from '../server/rounds.js';
+import { enforceClaimLimits, sendRateLimited, RateLimitError } from '../server/rate-limit.js';
+import { requireSession, AuthError } from '../server/auth.js';
+import { SignerError } from '../server/signer.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -22,31 +20,43 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { walletAddress, starsEarned } = req.body;
-    
-    // Validation
-    if (!walletAddress || !starsEarned || starsEarned <= 0) {
-      return res.status(400).json({ error: 'Invalid request' });
+    const { walletAddress: requestedWallet, starsEarned, receipts, renewNonce } = req.body || {};
+
+    // Only ever sign for the wallet that signed in
+    const { address: walletAddress } = await requireSession(req);
+    if (requestedWallet && requestedWallet.toLowerCase() !== walletAddress.toLowerCase()) {
+      return res.status(403).json({ error: 'Signed in as a different wallet' });
     }
+
+    // Per-IP and per-wallet limits, and no signing during the on-chain cooldown
+    await enforceClaimLimits(req, walletAddress);
     
-    // TODO: Add actual game validation here
-    // - Verify user session
-    // - Check game score from database/session
-    // - Prevent abuse
-    
-    const nonce = generateNonce();
-    const signatureData = await generateStarClaimSignature(
-      walletAddress,
-      starsEarned,
-      nonce
-    );
-    
-    console.log(`✍️  Signed claim for ${walletAddress}: ${starsEarned} stars`);
+    // Amount comes from the signed round receipts when the client sends them,
+    // otherwise from the round ledger (starsEarned is only cross-checked).
+    // renewNonce re-signs a claim whose signature expired unused.
+    const signatureData = renewNonce !== undefined
+      ? await renewRoundsClaim(walletAddress, Number(renewNonce))
+      : receipts
+      ? await claimReceiptStars(walletAddress, receipts)
+      : await claimRoundStars(walletAddress, starsEarned);
     
-    console.log('🔍 Signature data to return:', signatureData);
+    console.log(`✍️  Signed claim for ${walletAddress}: ${signatureData.amount} stars (${signatureData.rounds.length} rounds)`);
     
     res.status(200).json(signatureData);
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message, signIn: true });
+    }
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+    if (error instanceof RoundError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    if (error instanceof SignerError) {
+      console.error('Signer unavailable:', error.message);
+      return res.status(error.status).json({ error: 'Claims are temporarily unavailable' });
+    }
     console.error('Signing error:', error);
     res.status(500).json({ error: 'Failed to generate signature' });
   }
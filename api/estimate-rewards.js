@@ -0,0 +1,33 @@
+import { estimatePayout } from '../server/estimate.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { address } = req.query;
+
+    if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Missing or invalid address' });
+    }
+
+    const estimate = await estimatePayout(address);
+
+    res.json(estimate);
+  } catch (error) {
+    console.error('Estimate error:', error);
+    res.status(500).json({ error: 'Failed to estimate rewards' });
+  }
+}
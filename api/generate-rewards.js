@@ -1,18 +1,7 @@
-import { ethers } from 'ethers';
-import { MerkleTree } from 'merkletreejs';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// ========================================
-// CONFIGURATION - Match generate-rewards.js
-// ========================================
-
-const TOTAL_EMISSION = 10000;
-const CURVE_EXPONENT = 1.5;
+import { getProvider, getStarsContract } from '../server/chain.js';
+import { dryRunEpoch } from '../server/epochs.js';
+import { runPublication, listPublications, PublicationLockedError } from '../server/publication.js';
+import { getGameSigner } from '../server/signer.js';
 
 // Contract ABIs
 const STARS_ABI = [
@@ -22,6 +11,7 @@ const STARS_ABI = [
   "function epochDuration() view returns (uint256)",
   "function resetEpoch() external",
   "function starsByEpoch(address user, uint256 epoch) external view returns (uint256)",
+  "function totalStarsByEpoch(uint256 epoch) external view returns (uint256)",
   "function setMerkleRoot(uint256 epoch, bytes32 root) external",
   "function setMerkleRootAutomated(uint256 epoch, bytes32 root) external",
   "function hasClaimedChops(uint256 epoch, address user) external view returns (bool)"
@@ -64,81 +54,29 @@ async function checkAndResetEpoch(starsContract, wallet) {
   }
 }
 
-function calculateRewards(players, totalEmission = 10000, curveExponent = 1.5) {
-  const sorted = [...players].sort((a, b) => b.stars - a.stars);
-  const totalPlayers = sorted.length;
-
-  const weights = sorted.map((player, index) => {
-    const rank = index + 1;
-    return Math.pow(totalPlayers - rank + 1, curveExponent);
-  });
-
-  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-
-  return sorted.map((player, index) => {
-    const weight = weights[index];
-    // Use BigInt for precise calculation of large numbers
-    const rewardAmount = (BigInt(Math.floor((weight / totalWeight) * totalEmission * 1e18))).toString();
-    return {
-      address: player.address,
-      stars: player.stars,
-      rank: index + 1,
-      percentile: ((totalPlayers - index) / totalPlayers * 100).toFixed(1),
-      rewardAmount: rewardAmount,
-      weight
-    };
-  });
-}
-
-function generateMerkleTree(rewards) {
-  const leaves = rewards.map(reward =>
-    ethers.solidityPackedKeccak256(
-      ["address", "uint256"],
-      [reward.address, BigInt(reward.rewardAmount)]
-    )
-  );
-
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: false });
-  const root = tree.getHexRoot();
-
-  const proofs = rewards.map((reward, index) => ({
-    ...reward,
-    proof: tree.getHexProof(leaves[index])
-  }));
-
-  return { root, proofs };
-}
-
-async function fetchEpochPlayers(epochNumber, provider, starsContract) {
-  const filter = starsContract.filters.StarsClaimed();
-  const events = await starsContract.queryFilter(filter);
-
-  const epochEvents = events.filter(e => Number(e.args.epoch) === epochNumber);
-  const addresses = [...new Set(epochEvents.map(e => e.args.user))];
-
-  const players = await Promise.all(
-    addresses.map(async (address) => {
-      const stars = await starsContract.starsByEpoch(address, epochNumber);
-      return {
-        address,
-        stars: Number(stars)
-      };
-    })
-  );
-
-  return players.filter(p => p.stars > 0);
+/**
+ * Epoch a real run would generate: the previous one, or the current one when
+ * it is due for a reset (the run would reset first). Reads only.
+ */
+async function epochToProcess(starsContract) {
+  const currentEpoch = Number(await starsContract.currentEpoch());
+  const lastResetTimestamp = Number(await starsContract.lastResetTimestamp());
+  const epochDuration = Number(await starsContract.epochDuration());
+  const resetDue = Math.floor(Date.now() / 1000) - lastResetTimestamp >= epochDuration;
+  return resetDue ? currentEpoch : currentEpoch - 1;
 }
 
-async function setMerkleRootOnChain(epochNumber, root, wallet) {
-  const starsContract = new ethers.Contract(
-    process.env.STARS_CONTRACT_ADDRESS,
-    STARS_ABI,
-    wallet
-  );
-
-  const tx = await starsContract.setMerkleRootAutomated(epochNumber, root);
-  await tx.wait();
-  return tx.hash;
+/**
+ * runPublication, or null when another run holds the epoch's lock
+ */
+async function publishUnlessLocked(epoch, wallet) {
+  try {
+    return await runPublication(epoch, wallet);
+  } catch (error) {
+    if (!(error instanceof PublicationLockedError)) throw error;
+    console.log(`🔒 ${error.message}, skipping it`);
+    return null;
+  }
 }
 
 // ========================================
@@ -146,28 +84,40 @@ async function setMerkleRootOnChain(epochNumber, root, wallet) {
 // ========================================
 
 export default async function handler(req, res) {
-  // Only allow POST requests from Vercel cron
-  if (req.method !== 'POST') {
+  // Vercel cron invokes with GET; POST is kept for manual triggers
+  if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  // Verify this is from Vercel cron (optional but recommended)
+  // Verify this is from Vercel cron - without a secret configured nobody may run it
   const authHeader = req.headers.authorization;
-  if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+  if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  // ?dryRun=1 (or { dryRun: true }): compute and diff only - no reset, upload or transaction
+  const dryRun = ['1', 'true'].includes(String(req.query?.dryRun)) || req.body?.dryRun === true;
+
   try {
+    if (dryRun) {
+      const starsContract = getStarsContract(STARS_ABI);
+      const epoch = req.query?.epoch !== undefined ? Number(req.query.epoch) : await epochToProcess(starsContract);
+      if (!Number.isInteger(epoch) || epoch < 0) {
+        return res.status(400).json({ error: 'Invalid epoch' });
+      }
+
+      console.log(`🧪 Dry run for epoch ${epoch}`);
+      const report = await dryRunEpoch(epoch);
+      return res.status(200).json({ success: true, ...report });
+    }
+
     console.log('🔄 Starting automated reward generation...');
 
     // Setup provider and contracts
-    const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-    const wallet = new ethers.Wallet(process.env.GAME_SIGNER_PRIVATE_KEY, provider);
-    const starsContract = new ethers.Contract(
-      process.env.STARS_CONTRACT_ADDRESS,
-      STARS_ABI,
-      provider
-    );
+    const provider = getProvider();
+    // The game signer holds REWARD_MANAGER_ROLE for setMerkleRootAutomated
+    const wallet = (await getGameSigner()).connect(provider);
+    const starsContract = getStarsContract(STARS_ABI);
 
     // Check and reset epoch if needed
     const currentEpoch = await checkAndResetEpoch(starsContract, wallet);
@@ -175,98 +125,45 @@ export default async function handler(req, res) {
 
     console.log(`📊 Current epoch: ${currentEpoch}, checking epoch: ${previousEpoch}`);
 
-    // Check if rewards already exist
-    try {
-      const response = await fetch(`https://z3p2lhzjl2zlx7er.public.blob.vercel-storage.com/epoch-${previousEpoch}-rewards.json`);
-      if (response.ok) {
-        console.log(`✅ Rewards for epoch ${previousEpoch} already exist`);
-        return res.status(200).json({
-          success: true,
-          message: `Rewards for epoch ${previousEpoch} already generated`
-        });
-      }
-    } catch (error) {
-      // Continue if blob check fails
-    }
+    // Publish step by step; a failed step is retried on the next run
+    const publication = await publishUnlessLocked(previousEpoch, wallet);
 
-    // Fetch players for previous epoch
-    const players = await fetchEpochPlayers(previousEpoch, provider, starsContract);
+    // Resume earlier epochs whose publication failed or was cut off
+    const resumed = [];
+    for (const record of await listPublications()) {
+      if (record.status === 'complete' || record.epoch === previousEpoch) continue;
+      console.log(`🔁 Resuming epoch ${record.epoch} publication (${record.status})`);
+      const result = await publishUnlessLocked(record.epoch, wallet);
+      resumed.push({ epoch: record.epoch, status: result ? result.status : 'locked' });
+    }
+    const resumedOk = resumed.every(entry => entry.status !== 'failed');
 
-    if (players.length === 0) {
-      console.log(`⚠️ No players found for epoch ${previousEpoch}`);
-      return res.status(200).json({
-        success: true,
-        message: `No players found for epoch ${previousEpoch}`
+    if (!publication) {
+      return res.status(409).json({
+        success: false,
+        epoch: previousEpoch,
+        status: 'locked',
+        error: 'Epoch is being published by another run',
+        resumed
       });
     }
 
-    console.log(`🎯 Found ${players.length} players for epoch ${previousEpoch}`);
-
-    // Generate rewards
-    const rewards = calculateRewards(players, TOTAL_EMISSION, CURVE_EXPONENT);
-    const { root, proofs } = generateMerkleTree(rewards);
+    const { snapshot, compute, store, setRoot, confirm } = publication.steps;
+    const complete = publication.status === 'complete';
 
-    // Create output data
-    const output = {
+    return res.status(complete && resumedOk ? 200 : 500).json({
+      success: complete && resumedOk,
       epoch: previousEpoch,
-      totalPlayers: players.length,
-      totalEmission: TOTAL_EMISSION,
-      curveExponent: CURVE_EXPONENT,
-      merkleRoot: root,
-      rewards: proofs
-    };
-
-    // Save locally (for Vercel, this is temporary)
-    const fileName = `epoch-${previousEpoch}-rewards.json`;
-    const filePath = path.join('/tmp', fileName);
-    
-    // Custom JSON serializer to handle any remaining BigInts
-    const jsonString = JSON.stringify(output, (key, value) => {
-      if (typeof value === 'bigint') {
-        return value.toString();
-      }
-      return value;
-    }, 2);
-    
-    fs.writeFileSync(filePath, jsonString);
-
-    // Upload to Vercel Blob
-    const { put } = await import('@vercel/blob');
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const blob = await put(fileName, fileContent, {
-      access: 'public',
-      token: process.env.BLOB_READ_WRITE_TOKEN,
-      contentType: 'application/json'
+      status: publication.status,
+      players: snapshot.players ?? null,
+      merkleRoot: compute.merkleRoot || null,
+      blobUrl: store.location || null,
+      txHash: setRoot.txHash || null,
+      confirmed: confirm.status === 'done',
+      steps: publication.steps,
+      resumed
     });
 
-    console.log(`✅ Uploaded rewards to: ${blob.url}`);
-
-    // Set Merkle root on-chain
-    if (process.env.GAME_SIGNER_PRIVATE_KEY) {
-      const txHash = await setMerkleRootOnChain(previousEpoch, root, wallet);
-      console.log(`✅ Set Merkle root on-chain: ${txHash}`);
-
-      return res.status(200).json({
-        success: true,
-        epoch: previousEpoch,
-        players: players.length,
-        merkleRoot: root,
-        blobUrl: blob.url,
-        txHash
-      });
-    } else {
-      console.log('⚠️ GAME_SIGNER_PRIVATE_KEY not set - Merkle root not set on-chain');
-
-      return res.status(200).json({
-        success: true,
-        epoch: previousEpoch,
-        players: players.length,
-        merkleRoot: root,
-        blobUrl: blob.url,
-        warning: 'Merkle root not set on-chain - missing GAME_SIGNER_PRIVATE_KEY'
-      });
-    }
-
   } catch (error) {
     console.error('❌ Error in automated reward generation:', error);
     return res.status(500).json({
@@ -1,3 +1,5 @@
+import { getRewardStore } from '../server/reward-store.js';
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -21,15 +23,16 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing address or epoch' });
     }
 
-    // Fetch from Vercel Blob Storage
-    const blobUrl = `https://z3p2lhzjl2zlx7er.public.blob.vercel-storage.com/epoch-${epoch}-rewards.json`;
+    if (!Number.isInteger(Number(epoch)) || Number(epoch) < 0) {
+      return res.status(400).json({ error: 'Invalid epoch' });
+    }
 
+    // Fetch from the configured reward store (blob in production, local files in dev)
     try {
-      const response = await fetch(blobUrl);
-      if (!response.ok) {
+      const rewardData = await getRewardStore().get(epoch);
+      if (!rewardData) {
         return res.status(404).json({ error: 'No rewards found for this epoch' });
       }
-      const rewardData = await response.json();
 
       // Find the user's reward
       const userReward = rewardData.rewards.find(
@@ -42,7 +45,7 @@ export default async function handler(req, res) {
 
       res.json(userReward);
     } catch (error) {
-      console.error('Error fetching from blob:', error);
+      console.error('Error reading reward store:', error);
       return res.status(404).json({ error: 'No rewards found for this epoch' });
     }
   } catch (error) {
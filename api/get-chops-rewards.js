@@ -0,0 +1,56 @@
+import { getRewardStore } from '../server/reward-store.js';
+
+/**
+ * Every epoch reward for an address, newest first, in one call.
+ * Claimed status lives on-chain (hasClaimedChops), the client reads it per row.
+ */
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { address } = req.query;
+
+    if (!address || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Missing or invalid address' });
+    }
+
+    const rewardStore = getRewardStore();
+    const epochs = await rewardStore.list();
+
+    const rewardFiles = await Promise.all(epochs.map(epoch => rewardStore.get(epoch)));
+
+    const rewards = rewardFiles
+      .filter(Boolean)
+      .map(rewardData => {
+        const userReward = rewardData.rewards.find(
+          r => r.address.toLowerCase() === address.toLowerCase()
+        );
+        return userReward && {
+          epoch: rewardData.epoch,
+          merkleRoot: rewardData.merkleRoot,
+          totalPlayers: rewardData.totalPlayers,
+          ...userReward
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.epoch - a.epoch);
+
+    res.json({ address, rewards });
+  } catch (error) {
+    console.error('Error fetching rewards:', error);
+    res.status(500).json({ error: 'Failed to fetch reward data' });
+  }
+}
@@ -0,0 +1,32 @@
+import { getStarsContract } from '../server/chain.js';
+import { syncClaims } from '../server/claims-indexer.js';
+
+// ========================================
+// CLAIMS INDEXER CRON
+// ========================================
+// Keeps the StarsClaimed index current for the leaderboard and payout
+// estimates, which only read it (see server/leaderboard.js).
+
+export default async function handler(req, res) {
+  // Vercel cron invokes with GET; POST is kept for manual triggers
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Verify this is from Vercel cron - without a secret configured nobody may run it
+  const authHeader = req.headers.authorization;
+  if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { fromBlock, toBlock, events } = await syncClaims(getStarsContract());
+    console.log(fromBlock > toBlock
+      ? '✅ Claims index already up to date'
+      : `✅ Indexed blocks ${fromBlock}-${toBlock}: ${events} claims`);
+    return res.status(200).json({ success: true, fromBlock, toBlock, events });
+  } catch (error) {
+    console.error('❌ Error indexing claims:', error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
@@ -0,0 +1,49 @@
+import { getLeaderboard, DEFAULT_PAGE_SIZE, LeaderboardError } from '../server/leaderboard.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { epoch, page = '1', pageSize = String(DEFAULT_PAGE_SIZE), address } = req.query;
+
+    if (epoch !== undefined && (!Number.isInteger(Number(epoch)) || Number(epoch) < 0)) {
+      return res.status(400).json({ error: 'Invalid epoch' });
+    }
+
+    if (!Number.isInteger(Number(page)) || Number(page) < 1 ||
+        !Number.isInteger(Number(pageSize)) || Number(pageSize) < 1) {
+      return res.status(400).json({ error: 'Invalid page or pageSize' });
+    }
+
+    if (address && !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+      return res.status(400).json({ error: 'Invalid address' });
+    }
+
+    const leaderboard = await getLeaderboard(epoch === undefined ? undefined : Number(epoch), {
+      page: Number(page),
+      pageSize: Number(pageSize),
+      address
+    });
+
+    res.json(leaderboard);
+  } catch (error) {
+    if (error instanceof LeaderboardError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Leaderboard error:', error);
+    res.status(500).json({ error: 'Failed to load leaderboard' });
+  }
+}
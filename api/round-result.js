@@ -0,0 +1,41 @@
+import { submitRoundResult, RoundError } from '../server/rounds.js';
+import { getSession } from '../server/auth.js';
+import { enforceRoundLimits, sendRateLimited, RateLimitError } from '../server/rate-limit.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { roundId, leftPct, chopTick } = req.body || {};
+
+    // Must be the wallet the round was issued to
+    const session = await getSession(req);
+    await enforceRoundLimits(req, 'round-result', session ? session.address : null);
+
+    const result = await submitRoundResult(roundId, session ? session.address : null, { leftPct, chopTick });
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+    if (error instanceof RoundError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Round result error:', error);
+    res.status(500).json({ error: 'Failed to record round result' });
+  }
+}
@@ -0,0 +1,39 @@
+import { startRound, RoundError } from '../server/rounds.js';
+import { getSession } from '../server/auth.js';
+import { enforceRoundLimits, sendRateLimited, RateLimitError } from '../server/rate-limit.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,POST');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Rounds are credited to the signed-in wallet; signed-out rounds can't be claimed
+    const session = await getSession(req);
+    await enforceRoundLimits(req, 'round-start', session ? session.address : null);
+
+    const round = await startRound(session ? session.address : null);
+
+    res.status(200).json(round);
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return sendRateLimited(res, error);
+    }
+    if (error instanceof RoundError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error('Round start error:', error);
+    res.status(500).json({ error: 'Failed to start round' });
+  }
+}
@@ -0,0 +1,32 @@
+import { getCachedStatus, STATUS_TTL_MS } from '../server/status.js';
+
+/**
+ * GET: deployment health - config, RPC, game signer, epoch and rewards.
+ * 200 when claims should work, 503 otherwise. Never includes secrets.
+ * Checked at most once per STATUS_TTL_MS; the CDN may serve it that long too.
+ */
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const status = await getCachedStatus();
+    res.setHeader('Cache-Control', `public, max-age=0, s-maxage=${STATUS_TTL_MS / 1000}`);
+    res.status(status.ok ? 200 : 503).json(status);
+  } catch (error) {
+    console.error('Status error:', error);
+    res.status(500).json({ ok: false, error: 'Failed to collect status' });
+  }
+}
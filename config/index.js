@@ -0,0 +1,230 @@
+// ========================================
+// APP CONFIGURATION
+// ========================================
+// The one place that says which chain, RPC, contracts and explorer the app
+// uses. Plain ES module with no env access of its own: the frontend resolves
+// it from import.meta.env (src/contracts/config.js), the server from
+// process.env (server/config.js), and vite.config.js resolves it at build
+// time so a bad config fails the build instead of shipping.
+//
+// VITE_NETWORK picks a profile below; the other variables only override it.
+// Everything here is public - secrets stay in their own modules.
+
+export const DEFAULT_NETWORK = 'testnet';
+
+export const NETWORKS = {
+  local: {
+    chain: {
+      id: 31337,
+      name: 'Localhost',
+      nativeCurrency: { decimals: 18, name: 'Ether', symbol: 'ETH' },
+      testnet: true
+    },
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorer: null,
+    contracts: {},
+    // Fresh dev chains start at genesis
+    deployBlock: 0
+  },
+  testnet: {
+    chain: {
+      id: 656476,
+      name: 'EDU Chain Testnet',
+      nativeCurrency: { decimals: 18, name: 'EDU', symbol: 'EDU' },
+      testnet: true
+    },
+    rpcUrl: 'https://rpc.open-campus-codex.gelato.digital',
+    explorer: { name: 'Blockscout', url: 'https://opencampus-codex.blockscout.com' },
+    contracts: {
+      stars: '0x78076e59Ac4cb49b5895ca3C3f930618f8aB3B29'
+    },
+    // Block the Stars contract above was deployed at; not recorded yet, so
+    // VITE_STARS_DEPLOY_BLOCK must be set for the claims indexer
+    deployBlock: null
+  },
+  mainnet: {
+    chain: {
+      id: 41923,
+      name: 'EDU Chain',
+      nativeCurrency: { decimals: 18, name: 'EDU', symbol: 'EDU' },
+      testnet: false
+    },
+    rpcUrl: 'https://rpc.edu-chain.raas.gelato.cloud',
+    explorer: { name: 'Blockscout', url: 'https://educhain.blockscout.com' },
+    contracts: {},
+    deployBlock: null
+  }
+};
+
+/**
+ * Environment variables the config reads. `server` entries are ignored by
+ * the frontend (Vite only exposes VITE_* to the browser anyway).
+ */
+export const CONFIG_SCHEMA = {
+  VITE_NETWORK: { type: 'network', description: `Network profile: ${Object.keys(NETWORKS).join(', ')} (default ${DEFAULT_NETWORK})` },
+  VITE_CHAIN_ID: { type: 'chainId', description: 'Chain id; sets it on local, must match the profile elsewhere' },
+  VITE_RPC_URL: { type: 'url', description: 'Public RPC, defaults to the profile\'s' },
+  VITE_STARS_CONTRACT_ADDRESS: { type: 'address', description: 'Stars contract, required unless the profile has one' },
+  VITE_CHOPS_CONTRACT_ADDRESS: { type: 'address', description: 'CHOPS token (optional)' },
+  VITE_STARS_DEPLOY_BLOCK: { type: 'block', description: 'Block the Stars contract was deployed at, required unless the profile has it for its contract' },
+  RPC_URL: { type: 'url', server: true, description: 'Server-side RPC (e.g. with an API key), defaults to VITE_RPC_URL' }
+};
+
+// Names the server used to read, now covered by the VITE_* variables above
+const REPLACED_ENV = {
+  STARS_CONTRACT_ADDRESS: 'VITE_STARS_CONTRACT_ADDRESS',
+  CHOPS_CONTRACT_ADDRESS: 'VITE_CHOPS_CONTRACT_ADDRESS',
+  CHAIN_ID: 'VITE_CHAIN_ID',
+  STARS_DEPLOY_BLOCK: 'VITE_STARS_DEPLOY_BLOCK'
+};
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const RPC_PROTOCOLS = ['http:', 'https:'];
+
+/**
+ * The configuration is invalid; `errors` lists every problem found
+ */
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+    this.status = 500;
+  }
+}
+
+// Parse one schema value; returns undefined when unset, pushes to errors when invalid
+function parseValue(key, raw, errors) {
+  const value = typeof raw === 'string' ? raw.trim() : raw;
+  if (value === undefined || value === null || value === '') return undefined;
+
+  switch (CONFIG_SCHEMA[key].type) {
+    case 'network':
+      if (!NETWORKS[value]) {
+        errors.push(`${key} "${value}" is not one of ${Object.keys(NETWORKS).join(', ')}`);
+        return undefined;
+      }
+      return value;
+    case 'chainId': {
+      const chainId = Number(value);
+      if (!Number.isSafeInteger(chainId) || chainId <= 0) {
+        errors.push(`${key} "${value}" is not a chain id`);
+        return undefined;
+      }
+      return chainId;
+    }
+    case 'block': {
+      const block = Number(value);
+      if (!Number.isSafeInteger(block) || block < 0) {
+        errors.push(`${key} "${value}" is not a block number`);
+        return undefined;
+      }
+      return block;
+    }
+    case 'url':
+      try {
+        if (RPC_PROTOCOLS.includes(new URL(value).protocol)) return value;
+      } catch {
+        // Reported below
+      }
+      // The value is left out: RPC URLs often embed an API key
+      errors.push(`${key} is not an http(s) URL`);
+      return undefined;
+    case 'address':
+      if (!ADDRESS_PATTERN.test(value)) {
+        errors.push(`${key} "${value}" is not an address`);
+        return undefined;
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve and validate the configuration from environment variables
+ * @param {Object} env - process.env, import.meta.env or Vite's loadEnv() result
+ * @param {Object} [options]
+ * @param {boolean} [options.server] - Also read server-only variables and check replaced names
+ * @returns {Object} { network, chainId, chain, rpcUrl, serverRpcUrl, explorerUrl, contracts, deployBlock, warnings }
+ * @throws {ConfigError} Listing every invalid or missing value
+ */
+export function resolveConfig(env, { server = false } = {}) {
+  const errors = [];
+  const warnings = [];
+  const values = {};
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    if (CONFIG_SCHEMA[key].server && !server) continue;
+    values[key] = parseValue(key, env[key], errors);
+  }
+
+  const network = values.VITE_NETWORK || DEFAULT_NETWORK;
+  const profile = NETWORKS[network];
+
+  let chainId = profile.chain.id;
+  if (values.VITE_CHAIN_ID !== undefined) {
+    if (network === 'local') {
+      chainId = values.VITE_CHAIN_ID;
+    } else if (values.VITE_CHAIN_ID !== chainId) {
+      errors.push(`VITE_CHAIN_ID ${values.VITE_CHAIN_ID} does not match the ${network} profile (chain ${chainId})`);
+    }
+  }
+
+  const rpcUrl = values.VITE_RPC_URL || profile.rpcUrl;
+  const contracts = {
+    stars: values.VITE_STARS_CONTRACT_ADDRESS || profile.contracts.stars || null,
+    chops: values.VITE_CHOPS_CONTRACT_ADDRESS || profile.contracts.chops || null
+  };
+  // (An invalid value was already reported above)
+  if (!contracts.stars && !String(env.VITE_STARS_CONTRACT_ADDRESS ?? '').trim()) {
+    errors.push(`VITE_STARS_CONTRACT_ADDRESS is required on ${network} (no Stars contract in the profile)`);
+  }
+
+  // The profile's deploy block belongs to the profile's contract
+  const ownContract = !profile.contracts.stars ||
+    String(contracts.stars).toLowerCase() === profile.contracts.stars.toLowerCase();
+  const deployBlock = values.VITE_STARS_DEPLOY_BLOCK ?? (ownContract ? profile.deployBlock : null) ?? null;
+
+  if (server) {
+    const resolved = {
+      VITE_STARS_CONTRACT_ADDRESS: contracts.stars,
+      VITE_CHOPS_CONTRACT_ADDRESS: contracts.chops,
+      VITE_CHAIN_ID: chainId,
+      VITE_STARS_DEPLOY_BLOCK: deployBlock
+    };
+    for (const [oldKey, newKey] of Object.entries(REPLACED_ENV)) {
+      if (!env[oldKey]) continue;
+      if (String(env[oldKey]).trim().toLowerCase() !== String(resolved[newKey]).toLowerCase()) {
+        errors.push(`${oldKey} is no longer read and disagrees with ${newKey}; remove it`);
+      } else {
+        warnings.push(`${oldKey} is no longer read (${newKey} is used); remove it`);
+      }
+    }
+    // Only the claims indexer needs it, and it refuses to run without
+    if (deployBlock === null && !String(env.VITE_STARS_DEPLOY_BLOCK ?? '').trim()) {
+      warnings.push(`VITE_STARS_DEPLOY_BLOCK is not set and the ${network} profile has no deploy block for ${contracts.stars}; the claims indexer will refuse to run`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  return {
+    network,
+    chainId,
+    // viem/wagmi chain definition
+    chain: {
+      ...profile.chain,
+      id: chainId,
+      rpcUrls: { default: { http: [rpcUrl] } },
+      ...(profile.explorer && { blockExplorers: { default: profile.explorer } })
+    },
+    rpcUrl,
+    serverRpcUrl: server ? values.RPC_URL || rpcUrl : undefined,
+    explorerUrl: profile.explorer ? profile.explorer.url : null,
+    contracts,
+    deployBlock,
+    warnings
+  };
+}
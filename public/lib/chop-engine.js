@@ -0,0 +1,220 @@
+// ========================================
+// CHOP SCORING ENGINE
+// ========================================
+// Headless, deterministic scoring shared by the game (public/game.html),
+// the server (server/rounds.js) and scripts. Works on a plain alpha mask,
+// no canvas or DOM required, so Node and the browser give identical results.
+
+// Knife animation params (one tick per animation frame)
+export const HOVER_SPEED = 0.02;
+export const ANGLE_SPEED = 0.005;
+// Knife stays this far from the canvas edges
+export const KNIFE_MARGIN = 50;
+
+// Game canvas (square) - must match canvasSize in public/game.html
+export const CANVAS_SIZE = 512;
+// White outline drawn around the image, part of what gets chopped
+export const OUTLINE_THICKNESS = 8;
+
+/**
+ * Knife position at an animation tick. The knife is fully determined by the
+ * tick, so a round replays exactly from the tick at which the chop fired.
+ * @param {number} tick - Animation frame counter (starts at 1 after the drop)
+ * @param {number} width - Canvas width in pixels
+ * @returns {Object} { x, angle }
+ */
+export function knifeAt(tick, width) {
+  const minX = KNIFE_MARGIN;
+  const maxX = width - KNIFE_MARGIN;
+  return {
+    // Horizontal back and forth
+    x: minX + (maxX - minX) * (Math.sin(tick * HOVER_SPEED) + 1) / 2,
+    // Varying angle: oscillate between -45 to 45 degrees
+    angle: Math.sin(tick * ANGLE_SPEED) * (Math.PI / 4)
+  };
+}
+
+/**
+ * Star rating for a difference in percentage points
+ * @param {number} diff - Absolute difference between chop and goal (0-100)
+ * @returns {number} Stars from 1 to 10
+ */
+export function calculateStars(diff) {
+  // Round to match displayed value (1 decimal place)
+  const displayedDiff = Math.round(diff * 10) / 10;
+
+  // More forgiving scoring system
+  if (displayedDiff === 0) return 10;  // Shows as 0.0%
+  if (displayedDiff <= 0.5) return 9;
+  if (displayedDiff <= 1.0) return 8;
+  if (displayedDiff <= 2.0) return 7;
+  if (displayedDiff <= 5.0) return 6;
+  if (displayedDiff <= 10.0) return 5;
+  if (displayedDiff <= 15.0) return 4;
+  if (displayedDiff <= 20.0) return 3;
+  if (displayedDiff <= 30.0) return 2;
+  return 1; // 30%+
+}
+
+/**
+ * Extract the alpha channel of RGBA pixel data as a mask
+ * @param {Uint8ClampedArray|Array} rgba - ImageData.data or equivalent
+ * @returns {Uint8Array} One alpha value per pixel
+ */
+export function alphaMaskFromRGBA(rgba) {
+  const mask = new Uint8Array(rgba.length / 4);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = rgba[i * 4 + 3];
+  }
+  return mask;
+}
+
+/**
+ * Where the game draws an image on its square canvas: fitted without
+ * stretching, then nudged 20px left and 15px down
+ * @returns {Object} { x, y, width, height }
+ */
+export function imageRect(imageWidth, imageHeight, size = CANVAS_SIZE) {
+  if (imageWidth / imageHeight > 1) {
+    // Wider - fit to width
+    const height = size * imageHeight / imageWidth;
+    return { x: -20, y: (size - height) / 2 + 15, width: size, height };
+  }
+  // Taller - fit to height
+  const width = size * imageWidth / imageHeight;
+  return { x: (size - width) / 2 - 20, y: 15, width, height: size };
+}
+
+/**
+ * Grow an alpha mask by the game's outline: every transparent pixel within
+ * `thickness` (circular) of an opaque one becomes opaque. Only whether a
+ * pixel is opaque matters for scoring, so outline pixels are set to 255.
+ * @returns {Uint8Array} New mask
+ */
+export function outlineMask(mask, width, height, thickness = OUTLINE_THICKNESS) {
+  const offsets = [];
+  for (let dy = -thickness; dy <= thickness; dy++) {
+    for (let dx = -thickness; dx <= thickness; dx++) {
+      if (Math.sqrt(dx * dx + dy * dy) <= thickness) offsets.push([dx, dy]);
+    }
+  }
+
+  const outlined = Uint8Array.from(mask);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x] === 0) continue;
+      for (const [dx, dy] of offsets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height && mask[ny * width + nx] === 0) {
+          outlined[ny * width + nx] = 255;
+        }
+      }
+    }
+  }
+  return outlined;
+}
+
+/**
+ * Count non-transparent pixels in an alpha mask
+ */
+export function countOpaque(mask) {
+  let total = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] > 0) total++;
+  }
+  return total;
+}
+
+/**
+ * Cut line through (x, height/2) at `angle` radians, as a*px + b*py + c = 0.
+ * The sign of a*px + b*py + c tells the side: <0 left, >=0 right.
+ */
+export function cutLine(x, angle, height) {
+  // Normal vector: perpendicular to direction
+  const dirX = Math.cos(angle);
+  const dirY = Math.sin(angle);
+  const a = -dirY;
+  const b = dirX;
+  const c = -(a * x + b * (height / 2));
+  return { a, b, c };
+}
+
+/**
+ * Score a chop from the left piece's percentage. The player is scored on
+ * whichever piece is closer to the goal.
+ * @param {number} leftPct - Percentage of opaque pixels left of the cut
+ * @param {number} goal - Target percentage for the round
+ * @returns {Object} { leftPct, rightPct, diff, closestIsLeft, closestPct, stars }
+ */
+export function scoreLeftPct(leftPct, goal) {
+  const rightPct = 100 - leftPct;
+  const leftDiff = Math.abs(leftPct - goal);
+  const rightDiff = Math.abs(rightPct - goal);
+  const closestIsLeft = leftDiff < rightDiff;
+  const diff = Math.min(leftDiff, rightDiff);
+
+  return {
+    leftPct,
+    rightPct,
+    diff,
+    closestIsLeft,
+    closestPct: closestIsLeft ? leftPct : rightPct,
+    stars: calculateStars(diff)
+  };
+}
+
+/**
+ * Split an alpha mask with a cut and score it against the goal
+ * @param {Object} params
+ * @param {Uint8Array|Array} params.mask - Alpha values, row-major, width*height long
+ * @param {number} params.width - Mask width in pixels
+ * @param {number} params.height - Mask height in pixels
+ * @param {number} params.x - Knife x position at the vertical middle
+ * @param {number} params.angle - Knife angle in radians
+ * @param {number} params.goal - Target percentage for the round
+ * @returns {Object} scoreLeftPct result plus { leftOpaque, rightOpaque, totalOpaque }
+ */
+export function scoreCut({ mask, width, height, x, angle, goal }) {
+  if (mask.length !== width * height) {
+    throw new Error(`Mask length ${mask.length} does not match ${width}x${height}`);
+  }
+
+  const { a, b, c } = cutLine(x, angle, height);
+  let leftOpaque = 0;
+  let totalOpaque = 0;
+
+  for (let py = 0; py < height; py++) {
+    for (let px = 0; px < width; px++) {
+      if (mask[py * width + px] === 0) continue;
+      totalOpaque++;
+      if (a * px + b * py + c < 0) leftOpaque++;
+    }
+  }
+
+  const leftPct = totalOpaque > 0 ? (leftOpaque / totalOpaque) * 100 : 0;
+
+  return {
+    leftOpaque,
+    rightOpaque: totalOpaque - leftOpaque,
+    totalOpaque,
+    ...scoreLeftPct(leftPct, goal)
+  };
+}
+
+// Classic scripts in game.html reach the engine through window.ChopEngine
+if (typeof window !== 'undefined') {
+  window.ChopEngine = {
+    CANVAS_SIZE,
+    OUTLINE_THICKNESS,
+    knifeAt,
+    imageRect,
+    outlineMask,
+    calculateStars,
+    alphaMaskFromRGBA,
+    countOpaque,
+    cutLine,
+    scoreLeftPct,
+    scoreCut
+  };
+}
@@ -0,0 +1,98 @@
+// ========================================
+// ROUND RECEIPTS (CLIENT STORAGE)
+// ========================================
+// The server returns a signed receipt for every completed round
+// (server/rounds.js). They are kept in localStorage per wallet until
+// claimed, so stars survive a refresh; a claim sends the tokens to
+// /api/claim-stars. Used by the game (public/game.html) and the claim button.
+//
+// The server spends the rounds when it signs, so the signed claim is kept
+// too until its transaction confirms: a rejected or dropped transaction can
+// be retried with it (or renewed, once its deadline passed).
+
+const STORAGE_PREFIX = 'capychop:receipts:';
+const PENDING_CLAIM_PREFIX = 'capychop:pending-claim:';
+
+// Same window as the in-game "LAST 5" counter and MAX_CLAIM_ROUNDS on the server
+export const MAX_RECEIPTS = 5;
+
+const storageKey = (wallet) => STORAGE_PREFIX + wallet.toLowerCase();
+
+/**
+ * Unclaimed receipts for a wallet, oldest first. Expired ones (and ones
+ * issued before receipts expired) are left out - the server refuses them.
+ * @returns {Array} [{ roundId, wallet, goal, diff, stars, completedAt, expiresAt, token }]
+ */
+export function loadReceipts(wallet) {
+  if (!wallet) return [];
+  try {
+    const receipts = JSON.parse(localStorage.getItem(storageKey(wallet)) || '[]');
+    return Array.isArray(receipts) ? receipts.filter(receipt => receipt.expiresAt > Date.now()) : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveReceipts(wallet, receipts) {
+  try {
+    localStorage.setItem(storageKey(wallet), JSON.stringify(receipts));
+  } catch (e) {
+    console.log('Could not store round receipts:', e.message);
+  }
+}
+
+/**
+ * Keep a receipt, dropping the oldest beyond MAX_RECEIPTS
+ */
+export function addReceipt(receipt) {
+  const receipts = loadReceipts(receipt.wallet).filter(entry => entry.roundId !== receipt.roundId);
+  receipts.push(receipt);
+  saveReceipts(receipt.wallet, receipts.slice(-MAX_RECEIPTS));
+}
+
+/**
+ * Forget receipts the server has spent
+ */
+export function removeReceipts(wallet, roundIds) {
+  if (!wallet) return;
+  saveReceipts(wallet, loadReceipts(wallet).filter(entry => !roundIds.includes(entry.roundId)));
+}
+
+/**
+ * Signed claim not yet confirmed on chain, or null
+ * @returns {Object|null} { signature, nonce, deadline, amount, scheme, rounds }
+ */
+export function loadPendingClaim(wallet) {
+  if (!wallet) return null;
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_CLAIM_PREFIX + wallet.toLowerCase()) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function savePendingClaim(wallet, claim) {
+  try {
+    localStorage.setItem(PENDING_CLAIM_PREFIX + wallet.toLowerCase(), JSON.stringify(claim));
+  } catch (e) {
+    console.log('Could not store pending claim:', e.message);
+  }
+}
+
+export function clearPendingClaim(wallet) {
+  if (!wallet) return;
+  localStorage.removeItem(PENDING_CLAIM_PREFIX + wallet.toLowerCase());
+}
+
+// Classic scripts in game.html reach receipts through window.RoundReceipts
+if (typeof window !== 'undefined') {
+  window.RoundReceipts = {
+    MAX_RECEIPTS,
+    loadReceipts,
+    addReceipt,
+    removeReceipts,
+    loadPendingClaim,
+    savePendingClaim,
+    clearPendingClaim
+  };
+}
@@ -0,0 +1,121 @@
+// ========================================
+// ROUND REPLAYS
+// ========================================
+// A round is fully described by its seed, image, goal and the animation tick
+// at which the chop fired (the knife position is a function of the tick, see
+// knifeAt in chop-engine.js). Replays are shared as a URL fragment
+// (#replay=...) or as a JSON file.
+
+export const REPLAY_VERSION = 1;
+
+const HASH_PREFIX = '#replay=';
+
+/**
+ * Build a replay object for a finished round
+ * @param {Object} round
+ * @param {number} round.seed - Round seed
+ * @param {string} round.image - Image path the round used
+ * @param {number} round.goal - Goal percentage
+ * @param {number} round.chopTick - Animation tick at which chop() fired
+ * @param {number} round.width - Canvas size the round was played at
+ * @param {number} [round.stars] - Stars earned (informational)
+ */
+export function createReplay({ seed, image, goal, chopTick, width, stars }) {
+  const replay = {
+    v: REPLAY_VERSION,
+    seed: seed >>> 0,
+    image,
+    goal,
+    chopTick,
+    width
+  };
+  if (stars !== undefined) {
+    replay.stars = stars;
+  }
+  return replay;
+}
+
+/**
+ * Check a decoded replay and return it, throwing on anything malformed
+ */
+export function validateReplay(replay) {
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay must be an object');
+  }
+  if (replay.v !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.v}`);
+  }
+  if (!Number.isInteger(replay.seed) || replay.seed < 0) {
+    throw new Error('Replay seed must be an unsigned integer');
+  }
+  if (typeof replay.image !== 'string' || !replay.image) {
+    throw new Error('Replay image missing');
+  }
+  if (!Number.isFinite(replay.goal) || replay.goal < 0 || replay.goal > 100) {
+    throw new Error('Replay goal must be between 0 and 100');
+  }
+  if (!Number.isInteger(replay.chopTick) || replay.chopTick < 1) {
+    throw new Error('Replay chopTick must be a positive integer');
+  }
+  if (!Number.isInteger(replay.width) || replay.width < 1) {
+    throw new Error('Replay width must be a positive integer');
+  }
+  return replay;
+}
+
+// base64url so the fragment survives being pasted anywhere
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Serialize a replay for a JSON file
+ */
+export function replayToJson(replay) {
+  return JSON.stringify(validateReplay(replay), null, 2);
+}
+
+/**
+ * Parse a replay JSON file
+ */
+export function replayFromJson(json) {
+  return validateReplay(JSON.parse(json));
+}
+
+/**
+ * Encode a replay as a URL fragment (including the leading #)
+ */
+export function replayToHash(replay) {
+  return HASH_PREFIX + toBase64Url(JSON.stringify(validateReplay(replay)));
+}
+
+/**
+ * Decode a replay from a URL fragment; returns null if the hash holds none
+ */
+export function replayFromHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) {
+    return null;
+  }
+  return validateReplay(JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length))));
+}
+
+// Classic scripts in game.html reach replays through window.RoundReplay
+if (typeof window !== 'undefined') {
+  window.RoundReplay = {
+    createReplay,
+    validateReplay,
+    replayToJson,
+    replayFromJson,
+    replayToHash,
+    replayFromHash
+  };
+}
@@ -0,0 +1,61 @@
+// ========================================
+// SEEDED ROUND RANDOMNESS
+// ========================================
+// Every random choice in a round (goal, image, drop animation) comes from one
+// 32-bit round seed, so a round can be re-created exactly from its seed.
+// Shared by the game (public/game.html) and the server (server/rounds.js).
+
+/**
+ * Mulberry32 PRNG - small, fast and identical in every JS engine
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Fresh random round seed (crypto-backed where available)
+ */
+export function randomSeed() {
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Derive all of a round's random values from its seed.
+ * Draw order is part of the format - append new draws, never reorder.
+ * @param {number} seed - Round seed
+ * @param {Array<string>} images - Images the round can pick from
+ * @returns {Object} { seed, goal, image, dropXOffset, dropRotation }
+ */
+export function rollRound(seed, images) {
+  const next = createRng(seed);
+
+  // Goal between 0 and 100
+  const goal = Math.floor(next() * 101);
+  const image = images[Math.floor(next() * images.length)];
+  // Horizontal drop offset -20vh to +20vh, rotation -15deg to +15deg
+  const dropXOffset = (next() - 0.5) * 40;
+  const dropRotation = (next() - 0.5) * 30;
+
+  return { seed: seed >>> 0, goal, image, dropXOffset, dropRotation };
+}
+
+// Classic scripts in game.html reach the RNG through window.RoundRng
+if (typeof window !== 'undefined') {
+  window.RoundRng = {
+    createRng,
+    randomSeed,
+    rollRound
+  };
+}
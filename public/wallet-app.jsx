@@ -2,16 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import '@rainbow-me/rainbowkit/styles.css';
 import { WagmiProvider, createConfig, http } from 'wagmi';
-import { educhain } from 'wagmi/chains';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { RainbowKitProvider, darkTheme } from '@rainbow-me/rainbowkit';
 import { WalletConnect } from './WalletConnect.jsx';
+import { CHAIN, RPC_URL } from '../src/contracts/config.js';
 
 // Configure chains & providers
 const config = createConfig({
-  chains: [educhain],
+  chains: [CHAIN],
   transports: {
-    [educhain.id]: http('https://rpc.open-campus-codex.gelato.digital'),
+    [CHAIN.id]: http(RPC_URL),
   },
 });
 
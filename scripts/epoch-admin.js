@@ -0,0 +1,305 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { getProvider } from '../server/chain.js';
+import { getRewardStore, createBlobRewardStore } from '../server/reward-store.js';
+import { serializeRewards } from '../server/rewards.js';
+import {
+  getEpochStatus,
+  resetEpoch,
+  generateEpoch,
+  dryRunEpoch,
+  dryRunReportName,
+  publishEpoch,
+  verifyEpoch
+} from '../server/epochs.js';
+import { runPublication, getPublication, withPublicationLock, PublicationLockedError } from '../server/publication.js';
+
+// quiet: dotenv's banner would break --json output
+dotenv.config({ quiet: true });
+
+// ========================================
+// EPOCH LIFECYCLE ADMIN CLI
+// ========================================
+// Non-interactive, so it can run from CI or a scheduler.
+//
+// Usage:
+//   node scripts/epoch-admin.js status [epoch...]
+//   node scripts/epoch-admin.js reset
+//   node scripts/epoch-admin.js generate <epoch> [--force]
+//   node scripts/epoch-admin.js generate <epoch> --dry-run [--report <path>]
+//   node scripts/epoch-admin.js publish <epoch> [--file <path>] [--automated] [--force]
+//   node scripts/epoch-admin.js verify <epoch> [--file <path>]
+//   node scripts/epoch-admin.js pipeline <epoch> [--automated] [--force]
+//
+// Options:
+//   --json   Print one JSON object on stdout (logs go to stderr)
+//
+// Exit codes:
+//   0  done
+//   1  error (RPC, transaction, storage)
+//   2  bad usage
+//   3  nothing done or check failed (reset not due, no players, no file,
+//      invalid file, different root already on-chain, root mismatch, proof
+//      failures, dry run root differs from the stored file, epoch being
+//      published by another run)
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_CHECK_FAILED = 3;
+
+const USAGE = 'Usage: epoch-admin <status|reset|generate|publish|verify|pipeline> [epoch] [--json] [--force] [--dry-run] [--report <path>] [--file <path>] [--automated]';
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, epochs: [], json: false, force: false, automated: false, dryRun: false, file: null, report: null };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--force') options.force = true;
+    else if (arg === '--automated') options.automated = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--file' || arg === '--report') {
+      const key = arg.slice(2);
+      options[key] = rest[++i];
+      if (!options[key]) throw new UsageError(`${arg} needs a path`);
+    } else if (/^\d+$/.test(arg)) options.epochs.push(Number(arg));
+    else throw new UsageError(`Unknown argument "${arg}"`);
+  }
+
+  return options;
+}
+
+function requireEpoch(options) {
+  if (options.epochs.length !== 1) {
+    throw new UsageError(`${options.command} needs exactly one epoch`);
+  }
+  return options.epochs[0];
+}
+
+function adminWallet() {
+  if (!process.env.ADMIN_PRIVATE_KEY) {
+    throw new Error('ADMIN_PRIVATE_KEY not set in environment variables');
+  }
+  return new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, getProvider());
+}
+
+function readRewardsFile(file) {
+  return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+}
+
+// Each command returns { exitCode, result } and logs its human-readable summary
+
+async function status(options) {
+  const result = await getEpochStatus(options.epochs.length ? { epochs: options.epochs } : {});
+  for (const epoch of result.epochs) {
+    const publication = await getPublication(epoch.epoch);
+    epoch.publication = publication ? publication.status : null;
+  }
+
+  console.log(`📅 Current epoch: ${result.currentEpoch}`);
+  console.log(result.resetDue
+    ? '⏰ Epoch duration elapsed, reset is due'
+    : `⏳ Next epoch in ${result.secondsUntilNextEpoch}s`);
+  for (const epoch of result.epochs) {
+    const state = !epoch.fileExists ? 'no rewards file'
+      : !epoch.onChainRoot ? 'file ready, root not set'
+      : epoch.rootsMatch ? 'published' : 'ROOT MISMATCH';
+    console.log(`   Epoch ${epoch.epoch}: ${state}${epoch.publication ? ` (pipeline ${epoch.publication})` : ''}`);
+  }
+
+  const mismatch = result.epochs.some(epoch => epoch.fileExists && epoch.onChainRoot && !epoch.rootsMatch);
+  return { exitCode: mismatch ? EXIT_CHECK_FAILED : EXIT_OK, result };
+}
+
+async function reset() {
+  const result = await resetEpoch(adminWallet());
+
+  if (result.reset) {
+    console.log(`✅ Epoch reset ${result.previousEpoch} -> ${result.currentEpoch} (${result.txHash})`);
+  } else {
+    console.log(`⏳ Not due yet, ${result.secondsUntilNextEpoch}s left in epoch ${result.currentEpoch}`);
+  }
+  return { exitCode: result.reset ? EXIT_OK : EXIT_CHECK_FAILED, result };
+}
+
+async function dryRun(epoch, options) {
+  const report = await dryRunEpoch(epoch);
+  const reportFile = options.report || dryRunReportName(epoch);
+  fs.writeFileSync(reportFile, serializeRewards(report));
+
+  const { diff } = report;
+  const result = {
+    epoch,
+    dryRun: true,
+    report: reportFile,
+    merkleRoot: report.merkleRoot,
+    totalPlayers: report.totalPlayers,
+    existingRoot: report.existing ? report.existing.merkleRoot : null,
+    rootMatches: diff ? diff.rootMatches : null,
+    added: diff ? diff.added.length : null,
+    removed: diff ? diff.removed.length : null,
+    changed: diff ? diff.changed.length : null
+  };
+
+  if (!report.output) {
+    console.log(`⚠️ No players found for epoch ${epoch}`);
+  } else {
+    console.log(`🧪 Dry run epoch ${epoch}: ${report.totalPlayers} players, root ${report.merkleRoot}`);
+  }
+  if (!report.existing) {
+    console.log('   No stored rewards file to compare against');
+  } else if (diff) {
+    console.log(diff.rootMatches
+      ? '   ✅ Root matches the stored file'
+      : `   ❌ Root differs from the stored file (${diff.previousRoot})`);
+    console.log(`   ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`);
+  }
+  console.log(`📄 Report written to ${reportFile} (nothing stored or sent)`);
+
+  const failed = !report.output || (diff && !diff.rootMatches);
+  return { exitCode: failed ? EXIT_CHECK_FAILED : EXIT_OK, result };
+}
+
+async function generate(options) {
+  const epoch = requireEpoch(options);
+  if (options.dryRun) return dryRun(epoch, options);
+  const { generated, reason, location, output } = await generateEpoch(epoch, { force: options.force });
+
+  const result = {
+    epoch,
+    generated,
+    reason: reason || null,
+    location,
+    merkleRoot: output ? output.merkleRoot : null,
+    totalPlayers: output ? output.totalPlayers : null
+  };
+
+  if (generated) {
+    console.log(`✅ Epoch ${epoch}: ${result.totalPlayers} players, root ${result.merkleRoot}`);
+    console.log(`💾 Saved to ${location}`);
+  } else if (reason === 'exists') {
+    console.log(`ℹ️ Epoch ${epoch} rewards already exist (root ${result.merkleRoot}), use --force to regenerate`);
+  } else {
+    console.log(`⚠️ No players found for epoch ${epoch}`);
+  }
+  // An existing file is the state generate was asked to reach
+  return { exitCode: generated || reason === 'exists' ? EXIT_OK : EXIT_CHECK_FAILED, result };
+}
+
+async function publish(options) {
+  const epoch = requireEpoch(options);
+
+  // Working locally: also put the file where the API reads it
+  const uploadStore = process.env.BLOB_READ_WRITE_TOKEN && getRewardStore().kind !== 'blob'
+    ? createBlobRewardStore({ token: process.env.BLOB_READ_WRITE_TOKEN, baseUrl: process.env.REWARDS_BLOB_BASE_URL })
+    : undefined;
+
+  // Hold the epoch's publication lock so the cron can't send a root meanwhile
+  const result = {
+    epoch,
+    ...await withPublicationLock(epoch, () => publishEpoch(epoch, adminWallet(), {
+      output: readRewardsFile(options.file),
+      uploadStore,
+      automated: options.automated,
+      force: options.force
+    }))
+  };
+
+  if (result.reason === 'no-file') {
+    console.log(`⚠️ No rewards file for epoch ${epoch}, run generate first`);
+    return { exitCode: EXIT_CHECK_FAILED, result };
+  }
+  if (result.reason === 'invalid-file') {
+    console.log(`❌ Rewards file is not valid for epoch ${epoch}, nothing uploaded or sent:`);
+    result.problems.forEach(problem => console.log(`   ${problem}`));
+    return { exitCode: EXIT_CHECK_FAILED, result };
+  }
+  if (result.reason === 'root-conflict') {
+    console.log(`❌ Epoch ${epoch} already has root ${result.onChainRoot} on-chain (file ${result.merkleRoot}); players may be claiming against it. Use --force to replace it`);
+    return { exitCode: EXIT_CHECK_FAILED, result };
+  }
+
+  if (result.uploadedTo) console.log(`📤 Uploaded to ${result.uploadedTo}`);
+  console.log(result.alreadySet
+    ? `ℹ️ Root for epoch ${epoch} already set to ${result.merkleRoot}`
+    : `✅ Root for epoch ${epoch} set to ${result.merkleRoot} (${result.txHash})`);
+  return { exitCode: EXIT_OK, result };
+}
+
+async function verify(options) {
+  const epoch = requireEpoch(options);
+  const result = { epoch, ...await verifyEpoch(epoch, { output: readRewardsFile(options.file) }) };
+
+  if (result.ok) {
+    console.log(`✅ Epoch ${epoch}: root matches on-chain, ${result.checked} proofs verified`);
+  } else if (result.reason === 'no-file') {
+    console.log(`⚠️ No rewards file for epoch ${epoch}`);
+  } else if (result.reason === 'no-root') {
+    console.log(`⚠️ No root set on-chain for epoch ${epoch}`);
+  } else {
+    console.log(`❌ Epoch ${epoch}: ${result.reason} (file ${result.fileRoot}, on-chain ${result.onChainRoot})`);
+    result.failures.forEach(address => console.log(`   proof failed: ${address}`));
+  }
+  return { exitCode: result.ok ? EXIT_OK : EXIT_CHECK_FAILED, result };
+}
+
+async function pipeline(options) {
+  const epoch = requireEpoch(options);
+  const publication = await runPublication(epoch, adminWallet(), { automated: options.automated, force: options.force });
+
+  for (const [name, step] of Object.entries(publication.steps)) {
+    console.log(`   ${name}: ${step.status}${step.txHash ? ` (${step.txHash})` : ''}${step.error ? ` - ${step.error}` : ''}`);
+  }
+  console.log(publication.status === 'complete'
+    ? `✅ Epoch ${epoch} published`
+    : `❌ Epoch ${epoch} publication failed, run again to resume`);
+  return { exitCode: publication.status === 'complete' ? EXIT_OK : EXIT_ERROR, result: publication };
+}
+
+const COMMANDS = { status, reset, generate, publish, verify, pipeline };
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    if (!COMMANDS[options.command]) {
+      throw new UsageError(options.command ? `Unknown command "${options.command}"` : 'Missing command');
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  // Keep stdout for the JSON result alone
+  if (options.json) {
+    console.log = console.info = console.warn = (...args) => console.error(...args);
+  }
+
+  try {
+    const { exitCode, result } = await COMMANDS[options.command](options);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ command: options.command, ok: exitCode === EXIT_OK, ...result }, null, 2)}\n`);
+    }
+    return exitCode;
+  } catch (error) {
+    const exitCode = error instanceof UsageError ? EXIT_USAGE
+      : error instanceof PublicationLockedError ? EXIT_CHECK_FAILED
+      : EXIT_ERROR;
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify({ command: options.command, ok: false, error: error.shortMessage || error.message })}\n`);
+    }
+    console.error(`❌ Error: ${error.shortMessage || error.message}`);
+    if (exitCode === EXIT_USAGE) console.error(USAGE);
+    return exitCode;
+  }
+}
+
+// Exit once stdout is flushed; an unreachable RPC would otherwise keep retrying
+main().then((exitCode) => {
+  process.stdout.write('', () => process.exit(exitCode));
+});
@@ -1,134 +1,40 @@
 import { ethers } from 'ethers';
-import { MerkleTree } from 'merkletreejs';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import {
+  calculateRewards,
+  generateMerkleTree,
+  verifyProof,
+  buildEpochRewards,
+  checkContractCompatibility,
+} from '../server/rewards.js';
+import { getRewardStore, createBlobRewardStore } from '../server/reward-store.js';
+import { fetchEpochPlayers as fetchIndexedPlayers } from '../server/claims-indexer.js';
+import { getProvider, getStarsContract } from '../server/chain.js';
+import { publishEpoch, verifyEpoch } from '../server/epochs.js';
 
 dotenv.config();
 
 console.log('Script starting...');
 
-// ========================================
-// CONFIGURATION - Edit these values
-// ========================================
-
-// Total CHOPS to distribute each epoch
-const TOTAL_EMISSION = 10000;
-
-// Curve steepness (1.0 = linear, 2.0 = very steep)
-// Higher = top ranks get much more
-// 1.0: More equal distribution
-// 1.5: Moderate curve (recommended)
-// 2.0: Steep curve (winner takes more)
-const CURVE_EXPONENT = 1.5;
-
-// ========================================
-
 /**
- * Reward distribution using fixed emission and curve
- * 
- * @param {Array} players - Array of {address, stars}
- * @param {number} totalEmission - Total CHOPS to distribute (default: 10000)
- * @param {number} curveExponent - How steep the curve is (default: 1.5)
- *                                 1.0 = linear, >1.0 = exponential (rewards top more)
+ * Log how the emission is spread across ranks
  */
-function calculateRewards(players, totalEmission = 10000, curveExponent = 1.5) {
-  // Sort players by stars (descending)
-  const sorted = [...players].sort((a, b) => b.stars - a.stars);
-  
-  const totalPlayers = sorted.length;
-  
-  // Calculate weights using inverse rank with curve
-  // Rank 1 gets highest weight, rank N gets lowest
-  const weights = sorted.map((player, index) => {
-    const rank = index + 1;
-    // Weight = (totalPlayers - rank + 1) ^ curveExponent
-    // This makes #1 get much more than #2, #2 much more than #3, etc.
-    return Math.pow(totalPlayers - rank + 1, curveExponent);
-  });
-  
-  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-  
-  // Distribute tokens proportionally based on weights
-  const rewards = sorted.map((player, index) => {
-    const rank = index + 1;
-    const percentile = ((rank / totalPlayers) * 100).toFixed(2);
-    const weight = weights[index];
-    
-    // Calculate share of total emission
-    const shareOfTotal = weight / totalWeight;
-    const rewardAmount = ethers.parseEther((totalEmission * shareOfTotal).toFixed(4));
-    
-    return {
-      address: player.address,
-      stars: player.stars,
-      rank,
-      percentile,
-      weight: weight.toFixed(2),
-      shareOfTotal: (shareOfTotal * 100).toFixed(2) + '%',
-      rewardAmount: rewardAmount.toString()
-    };
-  });
-  
-  // Log distribution summary
+function logDistributionSummary(output) {
+  const { rewards } = output;
+  const totalPlayers = rewards.length;
+  const chops = (reward) => ethers.formatEther(reward.rewardAmount);
+
   console.log(`\n📊 Distribution Summary:`);
-  console.log(`   Total Emission: ${totalEmission} CHOPS`);
-  console.log(`   Curve Exponent: ${curveExponent}`);
-  console.log(`   #1 gets: ${ethers.formatEther(rewards[0].rewardAmount)} CHOPS (${rewards[0].shareOfTotal})`);
+  console.log(`   Total Emission: ${output.totalEmission} CHOPS`);
+  console.log(`   Strategy: ${output.strategy} ${JSON.stringify(output.strategyParams)}`);
+  console.log(`   #1 gets: ${chops(rewards[0])} CHOPS`);
   if (totalPlayers > 1) {
     const midpoint = Math.floor(totalPlayers / 2);
-    console.log(`   #${midpoint} gets: ${ethers.formatEther(rewards[midpoint - 1].rewardAmount)} CHOPS (${rewards[midpoint - 1].shareOfTotal})`);
-    console.log(`   #${totalPlayers} gets: ${ethers.formatEther(rewards[totalPlayers - 1].rewardAmount)} CHOPS (${rewards[totalPlayers - 1].shareOfTotal})`);
+    console.log(`   #${midpoint} gets: ${chops(rewards[midpoint - 1])} CHOPS`);
+    console.log(`   #${totalPlayers} gets: ${chops(rewards[totalPlayers - 1])} CHOPS`);
   }
-  
-  return rewards;
-}
-
-/**
- * Generate Merkle tree from rewards
- */
-function generateMerkleTree(rewards) {
-  // Create leaf nodes (hash of address + amount)
-  const leaves = rewards.map(reward => {
-    return ethers.solidityPackedKeccak256(
-      ['address', 'uint256'],
-      [reward.address, reward.rewardAmount]
-    );
-  });
-  
-  // Create Merkle tree
-  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
-  const root = tree.getHexRoot();
-  
-  // Generate proofs for each player
-  const rewardsWithProofs = rewards.map((reward, index) => {
-    const leaf = leaves[index];
-    const proof = tree.getHexProof(leaf);
-    
-    return {
-      ...reward,
-      proof
-    };
-  });
-  
-  return {
-    root,
-    rewards: rewardsWithProofs,
-    tree
-  };
-}
-
-/**
- * Verify a proof works
- */
-function verifyProof(tree, address, amount, proof) {
-  const leaf = ethers.solidityPackedKeccak256(
-    ['address', 'uint256'],
-    [address, amount]
-  );
-  
-  return tree.verify(proof, leaf, tree.getHexRoot());
 }
 
 /**
@@ -138,46 +44,21 @@ async function generateEpochRewards(epochNumber, players) {
   console.log(`\n🎯 Generating rewards for Epoch ${epochNumber}`);
   console.log(`📊 Total players: ${players.length}\n`);
   
-  // Calculate rewards using configured emission and curve
-  const rewards = calculateRewards(players, TOTAL_EMISSION, CURVE_EXPONENT);
+  // Calculate rewards and Merkle tree with the shared library
+  const output = buildEpochRewards(epochNumber, players);
+  const root = output.merkleRoot;
+  logDistributionSummary(output);
   
-  // Generate Merkle tree
-  const { root, rewards: rewardsWithProofs, tree } = generateMerkleTree(rewards);
+  console.log(`\n🌳 Merkle Root: ${root}\n`);
   
-  console.log(`🌳 Merkle Root: ${root}\n`);
+  // Verify every proof with the contract's hashing and pair ordering
+  const compatibility = checkContractCompatibility(output);
+  console.log(`✅ Verified ${compatibility.checked} proofs against claimChops hashing`);
   
-  // Verify a few proofs
-  console.log('✅ Verifying proofs...');
-  const sampleIndexes = [0, Math.floor(rewards.length / 2), rewards.length - 1];
-  sampleIndexes.forEach(i => {
-    if (i < rewards.length) {
-      const reward = rewardsWithProofs[i];
-      const isValid = verifyProof(tree, reward.address, reward.rewardAmount, reward.proof);
-      console.log(`   Player ${i + 1} (${reward.address}): ${isValid ? '✓' : '✗'}`);
-    }
-  });
+  // Save to the configured reward store (REWARD_STORE, defaults to current directory)
+  const { location } = await getRewardStore().put(epochNumber, output);
   
-  // Save to file
-  const output = {
-    epoch: epochNumber,
-    merkleRoot: root,
-    timestamp: new Date().toISOString(),
-    totalPlayers: players.length,
-    rewards: rewardsWithProofs.map(r => ({
-      address: r.address,
-      stars: r.stars,
-      rank: r.rank,
-      percentile: r.percentile,
-      rewardAmount: r.rewardAmount,
-      rewardAmountFormatted: ethers.formatEther(r.rewardAmount) + ' CHOPS',
-      proof: r.proof
-    }))
-  };
-  
-  const filename = `epoch-${epochNumber}-rewards.json`;
-  fs.writeFileSync(filename, JSON.stringify(output, null, 2));
-  
-  console.log(`\n💾 Saved to ${filename}`);
+  console.log(`\n💾 Saved to ${location}`);
   console.log(`\n📝 Next steps:`);
   console.log(`1. Call setMerkleRoot(${epochNumber}, "${root}") on Stars contract`);
   console.log(`2. Share the JSON file so players can claim their rewards`);
@@ -186,76 +67,40 @@ async function generateEpochRewards(epochNumber, players) {
 }
 
 /**
- * Fetch players from contract by querying StarsClaimed events
+ * Fetch players from contract via the StarsClaimed indexer
  */
 async function fetchEpochPlayers(epochNumber) {
-  console.log('Creating provider...');
-  const provider = new ethers.JsonRpcProvider(process.env.VITE_RPC_URL);
-  
-  console.log('Creating contract...');
-  const starsContract = new ethers.Contract(
-    process.env.VITE_STARS_CONTRACT_ADDRESS,
-    [
-      'event StarsClaimed(address indexed user, uint256 amount, uint256 epoch, uint256 nonce)',
-      'function starsByEpoch(address user, uint256 epoch) external view returns (uint256)'
-    ],
-    provider
-  );
+  // Same network config (RPC and contract) as the API routes
+  const starsContract = getStarsContract();
   
   console.log(`📡 Fetching players for Epoch ${epochNumber}...`);
   
-  // Query all StarsClaimed events (can't filter by non-indexed epoch)
-  const filter = starsContract.filters.StarsClaimed();
-  const events = await starsContract.queryFilter(filter);
-  
-  // Filter events for this epoch manually
-  const epochEvents = events.filter(e => Number(e.args.epoch) === epochNumber);
+  // Addresses come from the claims indexer, which only scans blocks since its checkpoint
+  const players = await fetchIndexedPlayers(epochNumber, starsContract);
   
-  // Get unique addresses
-  const addresses = [...new Set(epochEvents.map(e => e.args.user))];
+  console.log(`Found ${players.length} players`);
   
-  console.log(`Found ${addresses.length} players`);
-  
-  // Fetch final star count for each player
-  const players = await Promise.all(
-    addresses.map(async (address) => {
-      const stars = await starsContract.starsByEpoch(address, epochNumber);
-      return {
-        address,
-        stars: Number(stars)
-      };
-    })
-  );
-  
-  return players.filter(p => p.stars > 0);
+  return players;
 }
 
 /**
- * Set Merkle root on contract
+ * Set Merkle root on contract (owner only) and confirm it reads back
  */
-async function setMerkleRootOnChain(epochNumber, merkleRoot) {
-  const provider = new ethers.JsonRpcProvider(process.env.VITE_RPC_URL);
-  const wallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
-  
-  const starsContract = new ethers.Contract(
-    process.env.VITE_STARS_CONTRACT_ADDRESS,
-    [
-      'function setMerkleRoot(uint256 _epoch, bytes32 _merkleRoot) external',
-      'function epochMerkleRoots(uint256) external view returns (bytes32)'
-    ],
-    wallet
-  );
-  
+async function setMerkleRootOnChain(epochNumber, output) {
+  const wallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, getProvider());
+
   console.log('\n📡 Setting Merkle root on contract...');
-  const tx = await starsContract.setMerkleRoot(epochNumber, merkleRoot);
-  console.log(`⏳ Transaction sent: ${tx.hash}`);
-  
-  await tx.wait();
-  console.log('✅ Merkle root set on chain!');
-  
-  // Verify
-  const onChainRoot = await starsContract.epochMerkleRoots(epochNumber);
-  console.log(`🔍 Verified on-chain root: ${onChainRoot}`);
+  const { published, reason, problems, onChainRoot: existingRoot, txHash, alreadySet } = await publishEpoch(epochNumber, wallet, { output });
+  if (!published) {
+    const detail = reason === 'root-conflict'
+      ? `a different root (${existingRoot}) is already set; use npm run admin -- publish ${epochNumber} --force to replace it`
+      : problems ? problems.join('; ') : reason;
+    throw new Error(`Merkle root not set: ${detail}`);
+  }
+  console.log(alreadySet ? 'ℹ️ Merkle root was already set' : `✅ Merkle root set on chain! (${txHash})`);
+
+  const { ok, onChainRoot } = await verifyEpoch(epochNumber, { output });
+  console.log(`🔍 Verified on-chain root: ${onChainRoot}${ok ? '' : ' (MISMATCH)'}`);
 }
 
 // CLI Usage
@@ -282,47 +127,27 @@ if (currentFile === scriptFile) {
       // Generate rewards
       const output = await generateEpochRewards(epochNumber, players);
       
-      // Upload to Vercel Blob if token is set
-      if (process.env.BLOB_READ_WRITE_TOKEN) {
+      // Also upload to Vercel Blob if token is set and the store isn't blob already
+      if (process.env.BLOB_READ_WRITE_TOKEN && getRewardStore().kind !== 'blob') {
         try {
-          const { put } = await import('@vercel/blob');
           console.log('\n📤 Uploading to Vercel Blob Storage...');
-          const fileContent = fs.readFileSync(`epoch-${epochNumber}-rewards.json`, 'utf8');
-          const blob = await put(`epoch-${epochNumber}-rewards.json`, fileContent, {
-            access: 'public',
+          const blobStore = createBlobRewardStore({
             token: process.env.BLOB_READ_WRITE_TOKEN,
-            contentType: 'application/json'
+            baseUrl: process.env.REWARDS_BLOB_BASE_URL
           });
-          console.log(`✅ Uploaded to: ${blob.url}`);
+          const { location } = await blobStore.put(epochNumber, output);
+          console.log(`✅ Uploaded to: ${location}`);
         } catch (error) {
           console.log('⚠️  Blob upload failed (continuing anyway):', error.message);
         }
       }
       
-      // Ask about setting on-chain
       if (autoSetOnChain) {
-        await setMerkleRootOnChain(epochNumber, output.merkleRoot);
-      } else if (process.env.ADMIN_PRIVATE_KEY) {
-        // Prompt user
-        const readline = await import('readline');
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        
-        rl.question('\nDo you want to set the Merkle root on-chain now? (y/n): ', async (answer) => {
-          if (answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
-            await setMerkleRootOnChain(epochNumber, output.merkleRoot);
-          } else {
-            console.log('\n📝 To set manually in Remix:');
-            console.log(`   setMerkleRoot(${epochNumber}, "${output.merkleRoot}")`);
-          }
-          rl.close();
-        });
+        await setMerkleRootOnChain(epochNumber, output);
       } else {
-        console.log('\n⚠️  ADMIN_PRIVATE_KEY not set');
-        console.log('📝 Set Merkle root manually in Remix:');
-        console.log(`   setMerkleRoot(${epochNumber}, "${output.merkleRoot}")`);
+        console.log('\n📝 To set the Merkle root on-chain:');
+        console.log(`   npm run admin publish ${epochNumber}`);
+        console.log(`   or setMerkleRoot(${epochNumber}, "${output.merkleRoot}") in Remix`);
       }
     } catch (error) {
       console.error('❌ Error:', error);
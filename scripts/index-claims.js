@@ -0,0 +1,48 @@
+import dotenv from 'dotenv';
+import { getStarsContract } from '../server/chain.js';
+import { syncClaims, getCheckpoint, getEpochClaims } from '../server/claims-indexer.js';
+
+dotenv.config();
+
+// ========================================
+// STARSCLAIMED INDEXER CLI
+// ========================================
+// Brings the claims index up to date and optionally prints an epoch.
+// Set STATE_DIR (or KV_REST_API_*) so the checkpoint survives between runs.
+//
+// Usage:
+//   node scripts/index-claims.js [epoch]
+
+async function main() {
+  const epochArg = process.argv[2];
+
+  const starsContract = getStarsContract();
+
+  const before = await getCheckpoint(starsContract);
+  console.log(before
+    ? `📍 Checkpoint: block ${before.lastBlock}`
+    : '📍 No checkpoint yet, scanning from VITE_STARS_DEPLOY_BLOCK');
+
+  const { fromBlock, toBlock, events } = await syncClaims(starsContract, {
+    onEvents: (windowEvents) => console.log(`   ${windowEvents.length} claims up to block ${windowEvents[windowEvents.length - 1].blockNumber}`)
+  });
+
+  if (fromBlock > toBlock) {
+    console.log('✅ Already up to date');
+  } else {
+    console.log(`✅ Indexed blocks ${fromBlock}-${toBlock}: ${events} claims`);
+  }
+
+  if (epochArg !== undefined) {
+    const claims = await getEpochClaims(starsContract, Number(epochArg));
+    console.log(`\n⭐ Epoch ${epochArg}: ${claims.length} players`);
+    claims
+      .sort((a, b) => b.stars - a.stars)
+      .forEach(({ address, stars, claims: count }) => console.log(`   ${address}  ${stars} stars (${count} claims)`));
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
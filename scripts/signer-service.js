@@ -0,0 +1,88 @@
+import http from 'http';
+import { ethers } from 'ethers';
+import dotenv from 'dotenv';
+import { createSignerFromEnv } from '../server/signer-backends.js';
+
+dotenv.config();
+
+// ========================================
+// LOCAL SIGNING SERVICE
+// ========================================
+// Stand-in for the remote signing service (GAME_SIGNER_BACKEND=remote), for
+// local development and tests. Holds a key or keystore configured as
+// SIGNER_SERVICE_PRIVATE_KEY / SIGNER_SERVICE_KEYSTORE(+_PASSWORD) and
+// speaks the protocol documented on RemoteSigner in server/signer-backends.js.
+//
+// Usage:
+//   SIGNER_SERVICE_PRIVATE_KEY=0x... SIGNER_SERVICE_TOKEN=secret node scripts/signer-service.js
+//   GAME_SIGNER_URL=http://localhost:8787 GAME_SIGNER_TOKEN=secret npm run server
+
+const PORT = Number(process.env.SIGNER_SERVICE_PORT || 8787);
+const TOKEN = process.env.SIGNER_SERVICE_TOKEN;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function main() {
+  const signer = await createSignerFromEnv(process.env, 'SIGNER_SERVICE');
+  // A key or keystore - forwarding to another remote service makes no sense here
+  if (!(signer instanceof ethers.Wallet)) {
+    throw new Error('Set SIGNER_SERVICE_PRIVATE_KEY or SIGNER_SERVICE_KEYSTORE');
+  }
+  if (!TOKEN) {
+    console.warn('⚠️ SIGNER_SERVICE_TOKEN not set, anyone who can reach the port can sign');
+  }
+
+  const routes = {
+    'GET /address': async () => ({ address: signer.address }),
+    'POST /sign-message': async ({ message }) => ({ signature: await signer.signMessage(ethers.getBytes(message)) }),
+    'POST /sign-typed-data': async ({ domain, types, value }) => ({ signature: await signer.signTypedData(domain, types, value) }),
+    'POST /sign-transaction': async ({ transaction }) => ({ signedTransaction: await signer.signTransaction(ethers.Transaction.from(transaction)) })
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+      return send(401, { error: 'Unauthorized' });
+    }
+
+    const route = routes[`${req.method} ${req.url}`];
+    if (!route) {
+      return send(404, { error: 'Not found' });
+    }
+
+    try {
+      const body = req.method === 'POST' ? await readBody(req) : {};
+      const result = await route(body);
+      console.log(`✍️  ${req.method} ${req.url}`);
+      send(200, result);
+    } catch (error) {
+      send(400, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`🔐 Signing service for ${signer.address} on http://localhost:${PORT}`);
+  });
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,120 @@
+import { ethers } from 'ethers';
+import fs from 'fs';
+import { calculateRewards } from '../server/rewards.js';
+import { STRATEGIES, loadRewardConfig } from '../server/reward-strategies.js';
+
+// ========================================
+// REWARD DISTRIBUTION SIMULATOR
+// ========================================
+// Prints each strategy's payouts side by side so emissions can be tuned
+// before going live. Nothing is written or sent on-chain.
+//
+// Usage:
+//   node scripts/simulate-rewards.js <players.json | epoch-N-rewards.json> [options]
+//
+// Options:
+//   --emission <n>              Total CHOPS to distribute (default: from config/rewards.json)
+//   --strategies <a,b,...>      Strategies to compare (default: all)
+//   --param <strategy.key=val>  Override a strategy param, e.g. --param rank-power.exponent=2
+//                               (repeatable, values are parsed as JSON)
+
+function usage() {
+  console.log('Usage: node scripts/simulate-rewards.js <players.json | epoch-N-rewards.json> [--emission <n>] [--strategies <a,b>] [--param <strategy.key=value>]');
+  console.log(`Strategies: ${Object.keys(STRATEGIES).join(', ')}`);
+}
+
+function parseArgs(argv) {
+  const options = { file: null, emission: null, strategies: Object.keys(STRATEGIES), params: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--emission') {
+      options.emission = Number(argv[++i]);
+    } else if (arg === '--strategies') {
+      options.strategies = argv[++i].split(',').map(name => name.trim());
+    } else if (arg === '--param') {
+      const [key, value] = argv[++i].split('=');
+      const [strategy, param] = key.split('.');
+      options.params[strategy] = { ...options.params[strategy], [param]: JSON.parse(value) };
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Accepts a plain [{address, stars}] list, { players: [...] }
+ * or a generated epoch-N-rewards.json file
+ */
+function loadPlayers(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(data) ? data : data.players || data.rewards;
+
+  if (!Array.isArray(list)) {
+    throw new Error(`${file} has no players or rewards list`);
+  }
+
+  return list.map(({ address, stars }) => ({ address, stars: Number(stars) }));
+}
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+function simulate(options) {
+  const players = loadPlayers(options.file);
+  const totalEmission = options.emission ?? loadRewardConfig().default.totalEmission;
+
+  if (players.length === 0) {
+    throw new Error('No players to simulate');
+  }
+
+  // One payout column per strategy, keyed by address
+  const columns = options.strategies.map(strategy => {
+    const rewards = calculateRewards(players, {
+      totalEmission,
+      strategy,
+      params: options.params[strategy] || {}
+    });
+    const byAddress = new Map(rewards.map(r => [r.address.toLowerCase(), BigInt(r.rewardAmount)]));
+    const total = rewards.reduce((sum, r) => sum + BigInt(r.rewardAmount), 0n);
+    return { strategy, byAddress, total };
+  });
+
+  const ranked = [...players].sort((a, b) => b.stars - a.stars);
+  const chops = (wei) => Number(ethers.formatEther(wei)).toFixed(2);
+  const width = Math.max(12, ...options.strategies.map(name => name.length));
+
+  console.log(`\n🧪 Simulating ${players.length} players, ${totalEmission} CHOPS emission\n`);
+
+  const header = ['Rank'.padEnd(5), 'Address'.padEnd(12), 'Stars'.padStart(6)]
+    .concat(columns.map(c => c.strategy.padStart(width)));
+  console.log(header.join('  '));
+  console.log('-'.repeat(header.join('  ').length));
+
+  ranked.forEach((player, index) => {
+    const row = [String(index + 1).padEnd(5), shortAddress(player.address).padEnd(12), String(player.stars).padStart(6)]
+      .concat(columns.map(c => chops(c.byAddress.get(player.address.toLowerCase())).padStart(width)));
+    console.log(row.join('  '));
+  });
+
+  console.log('-'.repeat(header.join('  ').length));
+  const totals = ['Total'.padEnd(5), ''.padEnd(12), ''.padStart(6)]
+    .concat(columns.map(c => chops(c.total).padStart(width)));
+  console.log(totals.join('  '));
+}
+
+const args = process.argv.slice(2);
+if (args.length === 0 || args.includes('--help')) {
+  usage();
+  process.exit(args.length === 0 ? 1 : 0);
+}
+
+try {
+  simulate(parseArgs(args));
+} catch (error) {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+}
@@ -3,113 +3,68 @@ import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { startCronJobs } from './server/cron.js';
+import { checkGameSigner } from './server/signer.js';
+import { getConfig } from './server/config.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start on an invalid network config (config/index.js)
+let appConfig;
+try {
+  appConfig = getConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+appConfig.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
+// Middleware - parse bodies like Vercel's Node runtime does
 app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
 
-// API Routes (import after dotenv is loaded)
-let generateStarClaimSignature;
-
-// Dynamically import signer after env is loaded
-(async () => {
-  const signerModule = await import('./server/signer.js');
-  generateStarClaimSignature = signerModule.generateStarClaimSignature;
-})();
-
-// Endpoint: Request signature to claim stars
-app.post('/api/claim-stars', async (req, res) => {
-  if (!generateStarClaimSignature) {
-    return res.status(503).json({ error: 'Server initializing, try again' });
-  }
-  try {
-    const { walletAddress, starsEarned } = req.body;
-    
-    // Validation
-    if (!walletAddress || !starsEarned || starsEarned <= 0) {
-      return res.status(400).json({ error: 'Invalid request' });
-    }
-    
-    // TODO: Add actual game validation here
-    // - Verify user session
-    // - Check game score from database/session
-    // - Prevent abuse
-    
-    // Use timestamp + random for unique nonce that will never repeat
-    const nonce = Date.now() * 1000 + Math.floor(Math.random() * 1000);
-    const signatureData = await generateStarClaimSignature(
-      walletAddress,
-      starsEarned,
-      nonce
-    );
-    
-    console.log(`✍️  Signed claim for ${walletAddress}: ${starsEarned} stars`);
-    
-    res.json(signatureData);
-  } catch (error) {
-    console.error('Signing error:', error);
-    res.status(500).json({ error: 'Failed to generate signature' });
-  }
-});
-
-// Endpoint: Get Chops reward data for a user
-app.get('/api/get-chops-reward', async (req, res) => {
+// Mount every api/*.js handler the way Vercel does: one route per file,
+// all HTTP methods, registered before static files and the SPA fallback
+async function loadApiRoutes() {
+  const apiDir = path.join(__dirname, 'api');
+  
   try {
-    const { address, epoch } = req.query;
-    
-    if (!address || !epoch) {
-      return res.status(400).json({ error: 'Missing address or epoch' });
-    }
-    
-    let rewardData;
+    const files = fs.readdirSync(apiDir).filter(file => file.endsWith('.js'));
     
-    // In production (Vercel), fetch from Blob Storage
-    if (process.env.VERCEL) {
-      const blobUrl = `https://blob.vercel-storage.com/epoch-${epoch}-rewards.json`;
+    for (const file of files) {
+      const routeName = file.replace('.js', '');
+      const routePath = `/api/${routeName}`;
       
       try {
-        const response = await fetch(blobUrl);
-        if (!response.ok) {
-          return res.status(404).json({ error: 'No rewards found for this epoch' });
+        const routeModule = await import(`./api/${file}`);
+        const handler = routeModule.default;
+        
+        if (typeof handler === 'function') {
+          app.all(routePath, handler);
+          console.log(`📡 Loaded API route: ${routePath}`);
         }
-        rewardData = await response.json();
       } catch (error) {
-        console.error('Error fetching from blob:', error);
-        return res.status(404).json({ error: 'No rewards found for this epoch' });
-      }
-    } else {
-      // In development, read from local filesystem
-      const rewardFile = path.join(__dirname, `epoch-${epoch}-rewards.json`);
-      
-      if (!fs.existsSync(rewardFile)) {
-        return res.status(404).json({ error: 'No rewards found for this epoch' });
+        console.error(`❌ Failed to load API route ${routePath}:`, error.message);
       }
-      
-      rewardData = JSON.parse(fs.readFileSync(rewardFile, 'utf8'));
     }
-    
-    // Find the user's reward
-    const userReward = rewardData.rewards.find(
-      r => r.address.toLowerCase() === address.toLowerCase()
-    );
-    
-    if (!userReward) {
-      return res.status(404).json({ error: 'No reward found for this address' });
-    }
-    
-    res.json(userReward);
   } catch (error) {
-    console.error('Error fetching reward:', error);
-    res.status(500).json({ error: 'Failed to fetch reward data' });
+    console.error('❌ Failed to load API routes:', error.message);
   }
+}
+
+// Load API routes
+await loadApiRoutes();
+
+// Unknown API paths are 404s, not the SPA's index.html
+app.all('/api/*', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
 });
 
 // Check if we have a built dist folder (production) or use dev mode
@@ -139,40 +94,33 @@ if (useDistFolder) {
   });
 }
 
-// Dynamically load API routes from api/ directory (for local development)
-async function loadApiRoutes() {
-  const apiDir = path.join(__dirname, 'api');
-  
-  try {
-    const files = fs.readdirSync(apiDir).filter(file => file.endsWith('.js'));
-    
-    for (const file of files) {
-      const routeName = file.replace('.js', '');
-      const routePath = `/api/${routeName}`;
-      
-      try {
-        const routeModule = await import(`./api/${file}`);
-        const handler = routeModule.default;
-        
-        if (typeof handler === 'function') {
-          app.post(routePath, handler);
-          console.log(`📡 Loaded API route: ${routePath}`);
-        }
-      } catch (error) {
-        console.error(`❌ Failed to load API route ${routePath}:`, error.message);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Failed to load API routes:', error.message);
-  }
-}
-
-// Load API routes
-await loadApiRoutes();
-
 app.listen(PORT, () => {
   console.log(`🎮 CapyChop server listening on http://localhost:${PORT}`);
   console.log(`📂 Mode: ${useDistFolder ? 'Production (dist/)' : 'Development (public/)'}`);
+  console.log(`🌐 Network: ${appConfig.network} (chain ${appConfig.chainId}), Stars ${appConfig.contracts.stars}`);
+
+  // Simulate the vercel.json crons (opt-in: generate-rewards sends transactions)
+  const { crons = [] } = JSON.parse(fs.readFileSync(path.join(__dirname, 'vercel.json'), 'utf8'));
+  if (process.env.LOCAL_CRON === 'true' && crons.length > 0) {
+    if (!process.env.CRON_SECRET) {
+      console.warn('⚠️ CRON_SECRET not set, cron requests will be rejected');
+    }
+    startCronJobs(crons, `http://localhost:${PORT}`, process.env.CRON_SECRET);
+    crons.forEach(cron => console.log(`⏰ Cron scheduled: ${cron.path} (${cron.schedule} UTC)`));
+  } else if (crons.length > 0) {
+    console.log('⏰ Crons not scheduled locally (set LOCAL_CRON=true to run them)');
+  }
+
+  // Claims are refused until the signer matches the contract, so say so up front
+  checkGameSigner({ force: true })
+    .then((check) => {
+      if (check.ok) {
+        console.log(`✍️  Game signer ${check.activeAddress} matches contract (${check.activeRole})`);
+      } else {
+        console.error(`❌ Game signer mismatch: contract expects ${check.onChainSigner}, configured ${check.configured.map(entry => entry.address).join(', ')} - claims will be refused`);
+      }
+    })
+    .catch(error => console.error('❌ Game signer check failed:', error.message));
 });
 
 export default app;
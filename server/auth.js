@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { getStateStore } from './kv.js';
+import { getConfig } from './config.js';
+import { getForwardedHeader } from './proxy.js';
+
+// ========================================
+// WALLET SESSIONS (SIGN-IN WITH ETHEREUM)
+// ========================================
+// 1. POST /api/auth-challenge { address } -> an EIP-4361 message with a one-time nonce
+// 2. The wallet signs it (personal_sign)
+// 3. POST /api/auth-verify { message, signature } -> HTTP-only session cookie
+//
+// Per-player endpoints then read the wallet from the session instead of the
+// request body. Sessions are HMAC-signed tokens (SESSION_SECRET), also
+// accepted as `Authorization: Bearer <token>` for non-browser clients.
+// Each token carries the wallet's session version from the state store;
+// signing out bumps the version, which revokes every token issued before.
+
+export const SESSION_COOKIE = 'capychop_session';
+
+// A challenge must be signed within this time
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Players sign in again after this long
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const challengeKey = (nonce) => `siwe:${nonce}`;
+const sessionVersionKey = (wallet) => `session:${wallet.toLowerCase()}:version`;
+
+async function getSessionVersion(wallet, store) {
+  return Number(await store.get(sessionVersionKey(wallet))) || 0;
+}
+
+/**
+ * A request without a valid session or challenge signature
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+let sessionSecret;
+
+function getSessionSecret() {
+  if (!sessionSecret) {
+    sessionSecret = process.env.SESSION_SECRET;
+    if (!sessionSecret) {
+      // Serverless instances must share the secret or sessions break between them
+      if (process.env.VERCEL) {
+        throw new Error('SESSION_SECRET not set in environment variables');
+      }
+      console.warn('⚠️ SESSION_SECRET not set, using a random secret (sessions end on restart)');
+      sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return sessionSecret;
+}
+
+// Tokens for other purposes (e.g. round receipts) are signed under their own
+// prefix, so one kind can never be passed off as another
+function sign(payload, purpose) {
+  return crypto.createHmac('sha256', getSessionSecret())
+    .update(purpose ? `${purpose}:${payload}` : payload)
+    .digest('base64url');
+}
+
+/**
+ * Sign JSON data into a `<payload>.<hmac>` token
+ * @param {Object} data - JSON-serializable data
+ * @param {string} [purpose] - What the token is for; checked by readSignedData
+ */
+export function signData(data, purpose) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${sign(payload, purpose)}`;
+}
+
+/**
+ * Data from a token made by signData, or null if it was altered or is for another purpose
+ */
+export function readSignedData(token, purpose) {
+  const [payload, signature] = String(token || '').split('.');
+  const expected = payload ? sign(payload, purpose) : '';
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Origin the sign-in message is bound to, from the request. Forwarded
+ * host and protocol only count when a trusted proxy set them (see proxy.js).
+ */
+function requestOrigin(req, env = process.env) {
+  const host = getForwardedHeader(req, 'x-forwarded-host', env) || req.headers.host;
+  const proto = getForwardedHeader(req, 'x-forwarded-proto', env) ||
+    (env.VERCEL || req.socket?.encrypted ? 'https' : 'http');
+  return { domain: host, uri: `${proto}://${host}`, secure: proto === 'https' };
+}
+
+/**
+ * Issue a sign-in message for an address
+ * @returns {Object} { message, nonce, expiresAt }
+ */
+export async function createChallenge(req, address, store = getStateStore()) {
+  let wallet;
+  try {
+    wallet = ethers.getAddress(address);
+  } catch {
+    throw new AuthError('Invalid wallet address', 400);
+  }
+
+  const { domain, uri } = requestOrigin(req);
+  const { chainId } = getConfig();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+  // EIP-4361 message format
+  const message = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    wallet,
+    '',
+    'Sign in to CapyChop to record rounds and claim stars.',
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+
+  // Unused challenges leave the store when they expire
+  await store.set(challengeKey(nonce), { wallet, message, expiresAt: expiresAt.getTime() }, CHALLENGE_TTL_MS / 1000);
+
+  return { message, nonce, expiresAt: expiresAt.getTime() };
+}
+
+/**
+ * Check a signed challenge and open a session
+ * @returns {Object} { address, token, expiresAt }
+ */
+export async function verifyChallenge(message, signature, store = getStateStore()) {
+  const nonce = /^Nonce: ([0-9a-f]+)$/m.exec(message || '')?.[1];
+  const challenge = nonce ? await store.get(challengeKey(nonce)) : null;
+
+  // Only messages we issued, exactly as issued, and each only once
+  if (!challenge || challenge.message !== message) {
+    throw new AuthError('Unknown or already used challenge');
+  }
+  await store.delete(challengeKey(nonce));
+
+  if (Date.now() > challenge.expiresAt) {
+    throw new AuthError('Challenge expired');
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyMessage(message, signature);
+  } catch {
+    throw new AuthError('Invalid signature');
+  }
+  if (signer !== challenge.wallet) {
+    throw new AuthError('Signature does not match wallet');
+  }
+
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  const version = await getSessionVersion(signer, store);
+
+  return { address: signer, token: signData({ address: signer, exp: expiresAt, v: version }), expiresAt };
+}
+
+function readToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length);
+  }
+
+  const cookies = req.headers.cookie || '';
+  for (const part of cookies.split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Session for a request, or null if there is no valid one (expired, altered
+ * or revoked by a sign-out)
+ * @returns {Object|null} { address, expiresAt }
+ */
+export async function getSession(req, store = getStateStore()) {
+  const data = readSignedData(readToken(req));
+  if (!data) return null;
+
+  const { address, exp, v = 0 } = data;
+  if (Date.now() >= exp) return null;
+  if (v !== await getSessionVersion(address, store)) return null;
+  return { address, expiresAt: exp };
+}
+
+/**
+ * Session for a request, throwing AuthError (401) when signed out
+ */
+export async function requireSession(req, store = getStateStore()) {
+  const session = await getSession(req, store);
+  if (!session) {
+    throw new AuthError('Sign in with your wallet first');
+  }
+  return session;
+}
+
+/**
+ * Revoke every session token issued to a wallet so far (sign-out everywhere)
+ */
+export async function revokeSessions(wallet, store = getStateStore()) {
+  await store.incr(sessionVersionKey(wallet));
+}
+
+/**
+ * Set the HTTP-only session cookie
+ */
+export function setSessionCookie(req, res, token, expiresAt) {
+  const { secure } = requestOrigin(req);
+  const maxAge = Math.floor((expiresAt - Date.now()) / 1000);
+  res.setHeader('Set-Cookie',
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure ? '; Secure' : ''}`);
+}
+
+/**
+ * Expire the session cookie
+ */
+export function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
@@ -0,0 +1,37 @@
+import { ethers } from 'ethers';
+import { getConfig } from './config.js';
+
+// ========================================
+// READ-ONLY CHAIN ACCESS
+// ========================================
+// Shared provider and Stars contract for API routes that only read chain
+// state (leaderboard, estimates). Writers still bring their own wallet.
+
+export const STARS_READ_ABI = [
+  'event StarsClaimed(address indexed user, uint256 amount, uint256 epoch, uint256 nonce)',
+  'function currentEpoch() view returns (uint256)',
+  'function timeUntilNextEpoch() view returns (uint256)',
+  'function starsByEpoch(address user, uint256 epoch) view returns (uint256)',
+  'function totalStarsByEpoch(uint256 epoch) view returns (uint256)',
+  'function usedNonces(address user, uint256 nonce) view returns (bool)'
+];
+
+let sharedProvider;
+
+/**
+ * JSON-RPC provider for the configured network (RPC_URL, else the public RPC)
+ */
+export function getProvider() {
+  if (!sharedProvider) {
+    sharedProvider = new ethers.JsonRpcProvider(getConfig().serverRpcUrl);
+  }
+  return sharedProvider;
+}
+
+/**
+ * Stars contract connected to the shared provider
+ * @param {Array} [abi] - Defaults to STARS_READ_ABI
+ */
+export function getStarsContract(abi = STARS_READ_ABI) {
+  return new ethers.Contract(getConfig().contracts.stars, abi, getProvider());
+}
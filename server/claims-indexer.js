@@ -0,0 +1,206 @@
+import { getStateStore } from './kv.js';
+import { getConfig } from './config.js';
+import { batchCall } from './multicall.js';
+import { markNoncesConsumed } from './nonces.js';
+
+// ========================================
+// STARSCLAIMED EVENT INDEXER
+// ========================================
+// Scans StarsClaimed events in bounded block windows instead of querying
+// everything since genesis on each run. Progress is checkpointed in the
+// state store (see kv.js), so a restart picks up where the last run stopped.
+// Claim nonces issued by the server are marked consumed as their events
+// come in (see nonces.js).
+//
+// The first scan starts at the contract's deploy block (deployBlock in
+// config/index.js) - there is no fallback to genesis. Deployed, the
+// checkpoint must live in a shared store: with per-instance memory every
+// cold start would rescan from the deploy block.
+//
+// State store layout (scoped per contract):
+//   indexer:<contract>:checkpoint  -> { lastBlock, updatedAt }
+//   claims:<contract>:<epoch>      -> { [userLower]: { address, stars, claims, lastLog } }
+
+// Blocks per eth_getLogs call - keep under the RPC's range limit
+const DEFAULT_BLOCK_WINDOW = 5000;
+
+// Stay this many blocks behind head so reorgs don't leave phantom claims
+const DEFAULT_CONFIRMATIONS = 2;
+
+let warnedMemoryStore = false;
+
+const checkpointKey = (contract) => `indexer:${contract}:checkpoint`;
+const epochKey = (contract, epoch) => `claims:${contract}:${epoch}`;
+
+// Position of a log in the chain, comparable as a tuple
+const logPosition = (event) => [event.blockNumber, event.index];
+const isAfter = ([blockA, indexA], [blockB, indexB]) => blockA > blockB || (blockA === blockB && indexA > indexB);
+
+async function contractKey(starsContract) {
+  return (await starsContract.getAddress()).toLowerCase();
+}
+
+/**
+ * Read the indexer checkpoint for a contract
+ * @returns {Object|null} { lastBlock, updatedAt }
+ */
+export async function getCheckpoint(starsContract, store = getStateStore()) {
+  return store.get(checkpointKey(await contractKey(starsContract)));
+}
+
+/**
+ * Apply a window's events to the per-epoch claim records.
+ * Events at or before a user's lastLog were applied by an earlier run
+ * (crash between saving claims and the checkpoint) and are skipped.
+ */
+async function applyEvents(store, contract, events) {
+  const byEpoch = new Map();
+  for (const event of events) {
+    const epoch = Number(event.args.epoch);
+    if (!byEpoch.has(epoch)) byEpoch.set(epoch, []);
+    byEpoch.get(epoch).push(event);
+  }
+
+  for (const [epoch, epochEvents] of byEpoch) {
+    const record = (await store.get(epochKey(contract, epoch))) || {};
+
+    for (const event of epochEvents) {
+      const address = event.args.user;
+      const user = address.toLowerCase();
+      const entry = record[user] || { address, stars: 0, claims: 0, lastLog: [-1, -1] };
+
+      if (!isAfter(logPosition(event), entry.lastLog)) continue;
+
+      entry.stars += Number(event.args.amount);
+      entry.claims += 1;
+      entry.lastLog = logPosition(event);
+      record[user] = entry;
+    }
+
+    await store.set(epochKey(contract, epoch), record);
+  }
+}
+
+/**
+ * Scan new StarsClaimed events up to the confirmed head
+ * @param {ethers.Contract} starsContract - Stars contract with a provider attached
+ * @param {Object} [options]
+ * @param {Object} [options.store] - State store (defaults to the shared one)
+ * @param {number} [options.startBlock] - First block to scan when there is no checkpoint
+ *                                        (defaults to the configured deploy block)
+ * @param {number} [options.blockWindow] - Blocks per getLogs request
+ * @param {number} [options.confirmations] - Blocks to stay behind head
+ * @param {Function} [options.onEvents] - Called with each window's events after they are stored
+ * @returns {Object} { fromBlock, toBlock, events } - fromBlock > toBlock when already up to date
+ */
+export async function syncClaims(starsContract, {
+  store = getStateStore(),
+  startBlock = getConfig().deployBlock,
+  blockWindow = Number(process.env.INDEXER_BLOCK_WINDOW || DEFAULT_BLOCK_WINDOW),
+  confirmations = DEFAULT_CONFIRMATIONS,
+  onEvents
+} = {}) {
+  if (store.kind === 'memory') {
+    if (process.env.VERCEL) {
+      throw new Error('Claims indexer needs a shared state store on Vercel (set KV_REST_API_URL and KV_REST_API_TOKEN)');
+    }
+    if (!warnedMemoryStore) {
+      console.warn('⚠️ Claims indexer checkpoint is kept in memory; set STATE_DIR or KV_REST_API_* to keep it between runs');
+      warnedMemoryStore = true;
+    }
+  }
+
+  const contract = await contractKey(starsContract);
+  const checkpoint = await store.get(checkpointKey(contract));
+  if (!checkpoint && !Number.isSafeInteger(startBlock)) {
+    throw new Error('No deploy block for the Stars contract: set VITE_STARS_DEPLOY_BLOCK (see config/index.js)');
+  }
+  const head = await starsContract.runner.provider.getBlockNumber();
+
+  const fromBlock = checkpoint ? checkpoint.lastBlock + 1 : startBlock;
+  const toBlock = head - confirmations;
+  const filter = starsContract.filters.StarsClaimed();
+  let total = 0;
+
+  for (let windowStart = fromBlock; windowStart <= toBlock; windowStart += blockWindow) {
+    const windowEnd = Math.min(windowStart + blockWindow - 1, toBlock);
+    const events = await starsContract.queryFilter(filter, windowStart, windowEnd);
+
+    await applyEvents(store, contract, events);
+    await markNoncesConsumed(events, store);
+    if (onEvents && events.length > 0) {
+      await onEvents(events);
+    }
+
+    // Checkpoint after every window so a restart never rescans finished ranges
+    await store.set(checkpointKey(contract), { lastBlock: windowEnd, updatedAt: Date.now() });
+    total += events.length;
+  }
+
+  return { fromBlock, toBlock, events: total };
+}
+
+/**
+ * Indexed claims for an epoch
+ * @returns {Array} [{ address, stars, claims }] - stars is the sum of claimed amounts
+ */
+export async function getEpochClaims(starsContract, epochNumber, store = getStateStore()) {
+  const contract = await contractKey(starsContract);
+  const record = (await store.get(epochKey(contract, epochNumber))) || {};
+  return Object.values(record).map(({ address, stars, claims }) => ({ address, stars, claims }));
+}
+
+/**
+ * Compare the summed player totals with the contract's totalStarsByEpoch.
+ * A mismatch means the index is missing claims (e.g. still within the
+ * confirmation lag) and rewards built from it would leave players out.
+ * @returns {Object} { matches, playersTotal, onChainTotal }
+ */
+export async function crossCheckEpochTotal(starsContract, epochNumber, players) {
+  const playersTotal = players.reduce((sum, p) => sum + BigInt(p.stars), 0n);
+  const onChainTotal = await starsContract.totalStarsByEpoch(epochNumber);
+
+  return {
+    matches: playersTotal === onChainTotal,
+    playersTotal: playersTotal.toString(),
+    onChainTotal: onChainTotal.toString()
+  };
+}
+
+/**
+ * Fetch an epoch's players and their final star totals.
+ * Addresses come from the indexer (synced first); totals are read on-chain
+ * in Multicall batches and checked against totalStarsByEpoch.
+ * @param {Object} [options] - syncClaims options, plus batchCall's chunkSize/concurrency,
+ *                             crossCheck (default true; throws on mismatch) and
+ *                             sync (default true; false reads the index as it is)
+ * @returns {Array} [{ address, stars }] for players with stars
+ */
+export async function fetchEpochPlayers(epochNumber, starsContract, options = {}) {
+  const { crossCheck = true, sync = true, chunkSize, concurrency } = options;
+
+  if (sync) {
+    await syncClaims(starsContract, options);
+  }
+  const claims = await getEpochClaims(starsContract, epochNumber, options.store);
+
+  const totals = await batchCall(
+    starsContract,
+    'starsByEpoch',
+    claims.map(({ address }) => [address, epochNumber]),
+    { chunkSize, concurrency }
+  );
+
+  const players = claims
+    .map(({ address }, index) => ({ address, stars: Number(totals[index]) }))
+    .filter(p => p.stars > 0);
+
+  if (crossCheck) {
+    const check = await crossCheckEpochTotal(starsContract, epochNumber, players);
+    if (!check.matches) {
+      throw new Error(`Epoch ${epochNumber} players total ${check.playersTotal} stars but totalStarsByEpoch is ${check.onChainTotal} - claims index is incomplete`);
+    }
+  }
+
+  return players;
+}
@@ -0,0 +1,22 @@
+import { resolveConfig } from '../config/index.js';
+
+// ========================================
+// SERVER CONFIGURATION
+// ========================================
+// config/index.js resolved from process.env, once. Read lazily so scripts
+// can load .env (dotenv) after their imports; server.js calls it at startup
+// to refuse to run with a bad config.
+
+let config;
+
+/**
+ * Validated network config for the server
+ * @returns {Object} See resolveConfig in config/index.js
+ * @throws {ConfigError} If the environment is invalid
+ */
+export function getConfig() {
+  if (!config) {
+    config = resolveConfig(process.env, { server: true });
+  }
+  return config;
+}
@@ -0,0 +1,111 @@
+// ========================================
+// LOCAL CRON SIMULATION
+// ========================================
+// Runs the crons from vercel.json against the local server the way Vercel
+// does: a GET to the path with `Authorization: Bearer <CRON_SECRET>`, on the
+// schedule, in UTC. Only used by server.js for local development.
+
+// Field ranges: minute, hour, day of month, month, day of week
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 }
+];
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      [from, to] = range.includes('-') ? range.split('-').map(Number) : [Number(range), Number(range)];
+      // "5/15" means every 15 starting at 5
+      if (stepText !== undefined && !range.includes('-')) to = max;
+    }
+
+    if (![from, to, step].every(Number.isInteger) || from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name} field "${part}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression (numbers, *, ranges, lists and steps)
+ * @returns {Object} Allowed values per field, plus whether either day field may match
+ */
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // Standard cron: with both day fields restricted, a match on either fires.
+  // A field starting with * (e.g. */2) counts as unrestricted, like Vixie cron
+  const eitherDay = !parts[2].startsWith('*') && !parts[4].startsWith('*');
+
+  return { minutes, hours, days, months, weekdays, eitherDay };
+}
+
+/**
+ * Whether a parsed schedule fires in the given minute (UTC, like Vercel)
+ */
+export function cronMatches(schedule, date) {
+  const dayMatches = schedule.days.has(date.getUTCDate());
+  const weekdayMatches = schedule.weekdays.has(date.getUTCDay());
+
+  return schedule.minutes.has(date.getUTCMinutes()) &&
+    schedule.hours.has(date.getUTCHours()) &&
+    schedule.months.has(date.getUTCMonth() + 1) &&
+    (schedule.eitherDay ? dayMatches || weekdayMatches : dayMatches && weekdayMatches);
+}
+
+/**
+ * Call each cron path on its schedule
+ * @param {Array} crons - vercel.json `crons` entries ({ path, schedule })
+ * @param {string} baseUrl - Local server, e.g. http://localhost:3000
+ * @param {string} [cronSecret] - Sent as the Bearer token, like Vercel does
+ * @returns {Function} Stops the timer
+ */
+export function startCronJobs(crons, baseUrl, cronSecret) {
+  const jobs = crons.map(cron => ({ ...cron, parsed: parseCron(cron.schedule) }));
+  let timer;
+
+  async function run(job) {
+    console.log(`⏰ Cron ${job.schedule}: GET ${job.path}`);
+    try {
+      const response = await fetch(`${baseUrl}${job.path}`, {
+        headers: cronSecret ? { Authorization: `Bearer ${cronSecret}` } : {}
+      });
+      const body = await response.text();
+      console.log(`⏰ Cron ${job.path} -> ${response.status} ${body.slice(0, 200)}`);
+    } catch (error) {
+      console.error(`❌ Cron ${job.path} failed:`, error.message);
+    }
+  }
+
+  // Wake at the start of every minute and fire the jobs due then
+  function scheduleNextTick() {
+    const msToNextMinute = 60 * 1000 - (Date.now() % (60 * 1000));
+    timer = setTimeout(() => {
+      const now = new Date();
+      jobs.filter(job => cronMatches(job.parsed, now)).forEach(run);
+      scheduleNextTick();
+    }, msToNextMinute);
+  }
+
+  scheduleNextTick();
+  return () => clearTimeout(timer);
+}
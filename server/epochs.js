@@ -0,0 +1,235 @@
+import { ethers } from 'ethers';
+import { STARS_READ_ABI, getStarsContract } from './chain.js';
+import { fetchEpochPlayers } from './claims-indexer.js';
+import { buildEpochRewards, verifyProof, diffRewards, validateRewardsFile } from './rewards.js';
+import { getRewardStore } from './reward-store.js';
+
+// ========================================
+// EPOCH LIFECYCLE OPERATIONS
+// ========================================
+// The steps an operator runs at the end of an epoch, shared by the admin
+// CLI (scripts/epoch-admin.js) and the reward scripts. Each returns a plain
+// result object; "nothing to do" outcomes are results, not errors.
+
+export const STARS_ADMIN_ABI = [
+  ...STARS_READ_ABI,
+  'function lastResetTimestamp() view returns (uint256)',
+  'function epochDuration() view returns (uint256)',
+  'function resetEpoch() external',
+  'function epochMerkleRoots(uint256) view returns (bytes32)',
+  'function setMerkleRoot(uint256 _epoch, bytes32 _merkleRoot) external',
+  'function setMerkleRootAutomated(uint256 _epoch, bytes32 _merkleRoot) external'
+];
+
+/**
+ * On-chain root for an epoch, or null while none is set
+ */
+export async function getOnChainRoot(starsContract, epochNumber) {
+  const root = await starsContract.epochMerkleRoots(epochNumber);
+  return root === ethers.ZeroHash ? null : root;
+}
+
+/**
+ * Current epoch timing plus root and rewards file state of recent epochs
+ * @param {Object} [options]
+ * @param {Array<number>} [options.epochs] - Epochs to report (default: the last 3 finished)
+ * @returns {Object} { currentEpoch, secondsUntilNextEpoch, resetDue, epochs: [...] }
+ */
+export async function getEpochStatus({ epochs, store = getRewardStore() } = {}) {
+  const starsContract = getStarsContract(STARS_ADMIN_ABI);
+  const [currentEpoch, secondsLeft] = (await Promise.all([
+    starsContract.currentEpoch(),
+    starsContract.timeUntilNextEpoch()
+  ])).map(Number);
+
+  const reported = epochs || [1, 2, 3].map(back => currentEpoch - back).filter(epoch => epoch >= 0);
+
+  const epochStatus = await Promise.all(reported.map(async (epoch) => {
+    const [onChainRoot, file] = await Promise.all([
+      getOnChainRoot(starsContract, epoch),
+      store.get(epoch)
+    ]);
+    return {
+      epoch,
+      onChainRoot,
+      fileExists: !!file,
+      fileRoot: file ? file.merkleRoot : null,
+      totalPlayers: file ? file.totalPlayers : null,
+      rootsMatch: !!file && !!onChainRoot && file.merkleRoot.toLowerCase() === onChainRoot.toLowerCase()
+    };
+  }));
+
+  return {
+    currentEpoch,
+    secondsUntilNextEpoch: secondsLeft,
+    resetDue: secondsLeft === 0,
+    epochs: epochStatus
+  };
+}
+
+/**
+ * Call resetEpoch if the epoch duration has elapsed
+ * @param {ethers.Wallet} wallet - Any funded wallet (resetEpoch is public)
+ * @returns {Object} { reset, previousEpoch, currentEpoch, secondsUntilNextEpoch, txHash }
+ */
+export async function resetEpoch(wallet) {
+  const starsContract = getStarsContract(STARS_ADMIN_ABI).connect(wallet);
+  const previousEpoch = Number(await starsContract.currentEpoch());
+  const secondsLeft = Number(await starsContract.timeUntilNextEpoch());
+
+  if (secondsLeft > 0) {
+    return { reset: false, previousEpoch, currentEpoch: previousEpoch, secondsUntilNextEpoch: secondsLeft, txHash: null };
+  }
+
+  const tx = await starsContract.resetEpoch();
+  await tx.wait();
+
+  return {
+    reset: true,
+    previousEpoch,
+    currentEpoch: Number(await starsContract.currentEpoch()),
+    secondsUntilNextEpoch: Number(await starsContract.timeUntilNextEpoch()),
+    txHash: tx.hash
+  };
+}
+
+/**
+ * Build and store the rewards file for a finished epoch
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Replace an existing file
+ * @returns {Object} { generated, reason?, location, output }
+ */
+export async function generateEpoch(epochNumber, { store = getRewardStore(), force = false } = {}) {
+  if (!force && await store.exists(epochNumber)) {
+    return { generated: false, reason: 'exists', location: null, output: await store.get(epochNumber) };
+  }
+
+  const players = await fetchEpochPlayers(epochNumber, getStarsContract(STARS_ADMIN_ABI));
+  if (players.length === 0) {
+    return { generated: false, reason: 'no-players', location: null, output: null };
+  }
+
+  const output = buildEpochRewards(epochNumber, players);
+  const { location } = await store.put(epochNumber, output);
+
+  return { generated: true, location, output };
+}
+
+/**
+ * Compute an epoch's rewards without storing, uploading or sending anything,
+ * and diff them against the stored file when there is one
+ * @returns {Object} Report: { epoch, dryRun, generatedAt, merkleRoot, totalPlayers, existing, diff, output }
+ */
+export async function dryRunEpoch(epochNumber, { store = getRewardStore() } = {}) {
+  const players = await fetchEpochPlayers(epochNumber, getStarsContract(STARS_ADMIN_ABI));
+  const output = players.length > 0 ? buildEpochRewards(epochNumber, players) : null;
+  const existing = await store.get(epochNumber);
+
+  return {
+    epoch: epochNumber,
+    dryRun: true,
+    generatedAt: new Date().toISOString(),
+    merkleRoot: output ? output.merkleRoot : null,
+    totalPlayers: players.length,
+    existing: existing ? { merkleRoot: existing.merkleRoot, totalPlayers: existing.totalPlayers, timestamp: existing.timestamp } : null,
+    diff: existing && output ? diffRewards(existing, output) : null,
+    output
+  };
+}
+
+/**
+ * File name a dry run report is written under
+ */
+export function dryRunReportName(epochNumber) {
+  return `epoch-${epochNumber}-dry-run.json`;
+}
+
+/**
+ * Upload a rewards file and set its root on-chain. Nothing is uploaded or
+ * sent unless the file is valid for the epoch (validateRewardsFile), and a
+ * different root already on-chain - one players may be claiming against -
+ * is only replaced with `force`.
+ * @param {number} epochNumber - Epoch to publish
+ * @param {ethers.Wallet} wallet - Owner (setMerkleRoot) or reward manager (automated)
+ * @param {Object} [options]
+ * @param {Object} [options.output] - Rewards file contents (default: read from store)
+ * @param {Object} [options.uploadStore] - Extra store to upload to (e.g. blob when working locally)
+ * @param {boolean} [options.automated] - Use setMerkleRootAutomated (REWARD_MANAGER_ROLE)
+ * @param {boolean} [options.force] - Replace a different non-zero on-chain root
+ * @returns {Object} { published, reason?, problems?, merkleRoot, onChainRoot, uploadedTo, txHash, alreadySet }
+ *   reason: 'no-file' | 'invalid-file' (see problems) | 'root-conflict'
+ */
+export async function publishEpoch(epochNumber, wallet, {
+  store = getRewardStore(),
+  output,
+  uploadStore,
+  automated = false,
+  force = false
+} = {}) {
+  const notPublished = { published: false, merkleRoot: null, onChainRoot: null, uploadedTo: null, txHash: null, alreadySet: false };
+
+  const file = output || await store.get(epochNumber);
+  if (!file) {
+    return { ...notPublished, reason: 'no-file' };
+  }
+
+  const problems = validateRewardsFile(file, epochNumber);
+  if (problems.length > 0) {
+    return { ...notPublished, reason: 'invalid-file', problems };
+  }
+
+  const starsContract = getStarsContract(STARS_ADMIN_ABI).connect(wallet);
+  const onChainRoot = await getOnChainRoot(starsContract, epochNumber);
+  const rootMatches = onChainRoot && onChainRoot.toLowerCase() === file.merkleRoot.toLowerCase();
+  if (onChainRoot && !rootMatches && !force) {
+    return { ...notPublished, reason: 'root-conflict', merkleRoot: file.merkleRoot, onChainRoot };
+  }
+
+  const uploadedTo = uploadStore ? (await uploadStore.put(epochNumber, file)).location : null;
+
+  if (rootMatches) {
+    return { published: true, merkleRoot: file.merkleRoot, onChainRoot, uploadedTo, txHash: null, alreadySet: true };
+  }
+
+  const tx = automated
+    ? await starsContract.setMerkleRootAutomated(epochNumber, file.merkleRoot)
+    : await starsContract.setMerkleRoot(epochNumber, file.merkleRoot);
+  await tx.wait();
+
+  return { published: true, merkleRoot: file.merkleRoot, onChainRoot, uploadedTo, txHash: tx.hash, alreadySet: false };
+}
+
+/**
+ * Check a rewards file against the root set on-chain: the roots must match
+ * and every proof must verify against the on-chain root
+ * @param {Object} [options]
+ * @param {Object} [options.output] - Rewards file contents (default: read from store)
+ * @returns {Object} { ok, reason?, onChainRoot, fileRoot, checked, failures }
+ */
+export async function verifyEpoch(epochNumber, { store = getRewardStore(), output } = {}) {
+  const file = output || await store.get(epochNumber);
+  const onChainRoot = await getOnChainRoot(getStarsContract(STARS_ADMIN_ABI), epochNumber);
+
+  const result = {
+    ok: false,
+    onChainRoot,
+    fileRoot: file ? file.merkleRoot : null,
+    checked: 0,
+    failures: []
+  };
+
+  if (!file) return { ...result, reason: 'no-file' };
+  if (!onChainRoot) return { ...result, reason: 'no-root' };
+
+  result.failures = file.rewards
+    .filter(reward => !verifyProof(onChainRoot, reward.address, reward.rewardAmount, reward.proof))
+    .map(reward => reward.address);
+  result.checked = file.rewards.length;
+
+  const rootMatches = file.merkleRoot.toLowerCase() === onChainRoot.toLowerCase();
+  result.ok = rootMatches && result.failures.length === 0;
+  if (!rootMatches) result.reason = 'root-mismatch';
+  else if (result.failures.length > 0) result.reason = 'proof-failures';
+
+  return result;
+}
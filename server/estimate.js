@@ -0,0 +1,62 @@
+import { ethers } from 'ethers';
+import { getStarsContract } from './chain.js';
+import { getEpochRanking } from './leaderboard.js';
+import { calculateRewards } from './rewards.js';
+import { getEpochRewardConfig } from './reward-strategies.js';
+
+// ========================================
+// PROJECTED PAYOUT ESTIMATE
+// ========================================
+// Runs the reward allocation over the current epoch's live standings.
+// Only an estimate: standings keep moving until the epoch ends, and the
+// final file is built from the indexed totals at generation time.
+
+/**
+ * Projected CHOPS payout for a wallet in the current epoch
+ * @param {string} address - Wallet to estimate for
+ * @returns {Object} { epoch, totalPlayers, secondsUntilEpochEnd, epochEndsAt, strategy,
+ *                     projected: { rank, percentile, stars, rewardAmount, rewardAmountFormatted } | null,
+ *                     starsToNextRank, updatedAt }
+ */
+export async function estimatePayout(address) {
+  const starsContract = getStarsContract();
+  const [currentEpoch, secondsLeft] = await Promise.all([
+    starsContract.currentEpoch(),
+    starsContract.timeUntilNextEpoch()
+  ]);
+  const epoch = Number(currentEpoch);
+  const secondsUntilEpochEnd = Number(secondsLeft);
+
+  const { players, updatedAt } = await getEpochRanking(epoch, starsContract);
+  const rewardConfig = getEpochRewardConfig(epoch);
+  const rewards = calculateRewards(players, rewardConfig);
+
+  const index = rewards.findIndex(r => r.address.toLowerCase() === address.toLowerCase());
+  const reward = rewards[index];
+
+  // Tying the next group up means sharing its rank
+  let starsToNextRank = null;
+  if (reward && reward.rank > 1) {
+    const above = rewards.slice(0, index).reverse().find(r => r.stars > reward.stars);
+    starsToNextRank = above.stars - reward.stars;
+  }
+
+  return {
+    epoch,
+    totalPlayers: rewards.length,
+    secondsUntilEpochEnd,
+    epochEndsAt: new Date(Date.now() + secondsUntilEpochEnd * 1000).toISOString(),
+    strategy: rewardConfig.strategy,
+    projected: reward
+      ? {
+          rank: reward.rank,
+          percentile: reward.percentile,
+          stars: reward.stars,
+          rewardAmount: reward.rewardAmount,
+          rewardAmountFormatted: ethers.formatEther(reward.rewardAmount) + ' CHOPS'
+        }
+      : null,
+    starsToNextRank,
+    updatedAt: new Date(updatedAt).toISOString()
+  };
+}
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Small key-value stores for server-side game state (round ledger etc).
+ * Every store exposes the same async API:
+ *   get(key), set(key, value, ttlSeconds?), setIfAbsent(key, value, ttlSeconds?),
+ *   delete(key), keys(prefix), incr(key, ttlSeconds?)
+ * Values are plain JSON-serializable objects. setIfAbsent(key, value)
+ * atomically writes only when the key is missing and returns whether it
+ * did (SET NX). incr(key) atomically adds 1 to
+ * a numeric value (missing counts as 0) and returns the new value.
+ *
+ * ttlSeconds: a value written by set/setIfAbsent with it expires after that
+ * long (set without it keeps the value forever); a counter created by incr
+ * with it expires likewise. The REST store leaves expiry to Redis; the
+ * memory and file stores skip expired keys on read and sweep them out at
+ * most once per SWEEP_INTERVAL_MS while writing.
+ */
+
+// How often the memory and file stores drop expired keys
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store - state is lost on restart, fine for local development
+ */
+export function createMemoryStore() {
+  const data = new Map();
+  const expiresAt = new Map();
+  let lastSweep = Date.now();
+
+  const expired = (key) => expiresAt.has(key) && expiresAt.get(key) <= Date.now();
+  const has = (key) => data.has(key) && !expired(key);
+
+  function write(key, value, ttlSeconds) {
+    data.set(key, structuredClone(value));
+    if (ttlSeconds) {
+      expiresAt.set(key, Date.now() + ttlSeconds * 1000);
+    } else {
+      expiresAt.delete(key);
+    }
+    if (Date.now() - lastSweep > SWEEP_INTERVAL_MS) {
+      lastSweep = Date.now();
+      for (const expiredKey of [...expiresAt.keys()].filter(expired)) {
+        data.delete(expiredKey);
+        expiresAt.delete(expiredKey);
+      }
+    }
+  }
+
+  return {
+    kind: 'memory',
+    async get(key) {
+      return has(key) ? structuredClone(data.get(key)) : null;
+    },
+    async set(key, value, ttlSeconds) {
+      write(key, value, ttlSeconds);
+    },
+    async setIfAbsent(key, value, ttlSeconds) {
+      if (has(key)) return false;
+      write(key, value, ttlSeconds);
+      return true;
+    },
+    async delete(key) {
+      data.delete(key);
+      expiresAt.delete(key);
+    },
+    async keys(prefix = '') {
+      return [...data.keys()].filter(key => key.startsWith(prefix) && !expired(key));
+    },
+    async incr(key, ttlSeconds) {
+      if (!has(key)) {
+        write(key, 1, ttlSeconds);
+        return 1;
+      }
+      const value = data.get(key) + 1;
+      data.set(key, value);
+      return value;
+    }
+  };
+}
+
+// A lock older than this was left by a crashed process
+const STALE_LOCK_MS = 10 * 1000;
+
+async function acquireLock(lockFile) {
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lockFile, 'wx'));
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+          fs.rmSync(lockFile, { force: true });
+          continue;
+        }
+      } catch {
+        // Lock went away between open and stat - retry
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+}
+
+/**
+ * File-backed store - one JSON file per key inside `dir`. A value written
+ * with a TTL is stored as { $expiresAt, $value }.
+ * @param {string} dir - Directory to keep state files in
+ */
+export function createFileStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  let lastSweep = Date.now();
+
+  // Keys may contain ':' and '/', keep file names portable
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+  const keyFor = (file) => decodeURIComponent(file.slice(0, -'.json'.length));
+
+  const encode = (value, ttlSeconds) => JSON.stringify(ttlSeconds
+    ? { $expiresAt: Date.now() + ttlSeconds * 1000, $value: value }
+    : value);
+
+  // { value, expiresAt } for a live key, null for a missing or expired one
+  function readEntry(file) {
+    if (!fs.existsSync(file)) return null;
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (stored && typeof stored === 'object' && '$expiresAt' in stored) {
+      return stored.$expiresAt > Date.now() ? { value: stored.$value, expiresAt: stored.$expiresAt } : null;
+    }
+    return { value: stored, expiresAt: null };
+  }
+
+  function writeFile(file, contents) {
+    // Write to a temp file and rename so a crash never leaves half a record
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, contents);
+    fs.renameSync(tmpFile, file);
+  }
+
+  function sweep() {
+    if (Date.now() - lastSweep <= SWEEP_INTERVAL_MS) return;
+    lastSweep = Date.now();
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+      try {
+        if (readEntry(path.join(dir, file)) === null) {
+          fs.rmSync(path.join(dir, file), { force: true });
+        }
+      } catch {
+        // Being rewritten by another process - next sweep
+      }
+    }
+  }
+
+  // link() fails if the target exists, so only one writer can win
+  function linkNew(file, contents) {
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, contents);
+    try {
+      fs.linkSync(tmpFile, file);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      fs.rmSync(tmpFile, { force: true });
+    }
+  }
+
+  return {
+    kind: 'file',
+    async get(key) {
+      const entry = readEntry(fileFor(key));
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlSeconds) {
+      writeFile(fileFor(key), encode(value, ttlSeconds));
+      sweep();
+    },
+    async setIfAbsent(key, value, ttlSeconds) {
+      const file = fileFor(key);
+      if (linkNew(file, encode(value, ttlSeconds))) return true;
+
+      // The existing file may only hold an expired value: replace it under the key's lock
+      const lockFile = `${file}.lock`;
+      await acquireLock(lockFile);
+      try {
+        if (readEntry(file) !== null) return false;
+        fs.rmSync(file, { force: true });
+        return linkNew(file, encode(value, ttlSeconds));
+      } finally {
+        fs.rmSync(lockFile, { force: true });
+      }
+    },
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+    async keys(prefix = '') {
+      return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .filter(file => keyFor(file).startsWith(prefix) && readEntry(path.join(dir, file)) !== null)
+        .map(keyFor);
+    },
+    async incr(key, ttlSeconds) {
+      // Exclusive lock file so concurrent processes sharing the directory never read the same value
+      const file = fileFor(key);
+      const lockFile = `${file}.lock`;
+      await acquireLock(lockFile);
+      try {
+        const entry = readEntry(file);
+        const value = (entry ? entry.value : 0) + 1;
+        if (entry && entry.expiresAt) {
+          writeFile(file, JSON.stringify({ $expiresAt: entry.expiresAt, $value: value }));
+        } else {
+          writeFile(file, encode(value, entry ? undefined : ttlSeconds));
+        }
+        return value;
+      } finally {
+        fs.rmSync(lockFile, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Redis REST store (Upstash / Vercel KV) - shared between serverless instances
+ * @param {string} url - REST endpoint (KV_REST_API_URL)
+ * @param {string} token - REST token (KV_REST_API_TOKEN)
+ */
+export function createRestStore(url, token) {
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV command ${args[0]} failed with status ${response.status}`);
+    }
+
+    const { result, error } = await response.json();
+    if (error) {
+      throw new Error(`KV command ${args[0]} failed: ${error}`);
+    }
+    return result;
+  }
+
+  return {
+    kind: 'rest',
+    async get(key) {
+      const value = await command('GET', key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlSeconds) {
+      await command('SET', key, JSON.stringify(value), ...(ttlSeconds ? ['PX', Math.ceil(ttlSeconds * 1000)] : []));
+    },
+    async setIfAbsent(key, value, ttlSeconds) {
+      const expiry = ttlSeconds ? ['PX', Math.ceil(ttlSeconds * 1000)] : [];
+      return (await command('SET', key, JSON.stringify(value), 'NX', ...expiry)) === 'OK';
+    },
+    async delete(key) {
+      await command('DEL', key);
+    },
+    async keys(prefix = '') {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 500);
+        cursor = String(nextCursor);
+        keys.push(...batch);
+      } while (cursor !== '0');
+      return keys;
+    },
+    async incr(key, ttlSeconds) {
+      const value = Number(await command('INCR', key));
+      if (value === 1 && ttlSeconds) {
+        await command('EXPIRE', key, ttlSeconds);
+      }
+      return value;
+    }
+  };
+}
+
+/**
+ * Pick a store based on environment:
+ * - KV_REST_API_URL + KV_REST_API_TOKEN set: shared REST store (production)
+ * - STATE_DIR set: file store in that directory
+ * - otherwise: in-memory store
+ * On Vercel only the REST store is allowed: memory and files are per
+ * instance, so spent rounds, nonces and checkpoints would be forgotten on
+ * every cold start and claims could be replayed.
+ */
+export function createStoreFromEnv(env = process.env) {
+  if (env.KV_REST_API_URL && env.KV_REST_API_TOKEN) {
+    return createRestStore(env.KV_REST_API_URL, env.KV_REST_API_TOKEN);
+  }
+  if (env.VERCEL) {
+    throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN not set in environment variables (required on Vercel)');
+  }
+  if (env.STATE_DIR) {
+    return createFileStore(env.STATE_DIR);
+  }
+  return createMemoryStore();
+}
+
+let sharedStore;
+
+/**
+ * Process-wide store shared by all API routes
+ */
+export function getStateStore() {
+  if (!sharedStore) {
+    sharedStore = createStoreFromEnv();
+  }
+  return sharedStore;
+}
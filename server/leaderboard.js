@@ -0,0 +1,115 @@
+import { getStarsContract } from './chain.js';
+import { fetchEpochPlayers } from './claims-indexer.js';
+import { rankPlayers } from './rewards.js';
+
+// ========================================
+// LIVE EPOCH LEADERBOARD
+// ========================================
+// Players come from the claims indexer, star totals from starsByEpoch.
+// Rankings use the same order and shared ranks as the reward generator,
+// so the leaderboard position is the rank rewards will be paid at.
+//
+// Requests only read the index; the index-claims cron (api/index-claims.js,
+// or npm run index-claims locally) keeps it current.
+
+// Rankings are rebuilt at most this often per epoch and instance
+const CACHE_TTL_MS = 60 * 1000;
+
+// Epochs kept in the ranking cache per instance, least recently built dropped first
+const MAX_CACHED_EPOCHS = 8;
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+const rankingCache = new Map();
+const rankingsInFlight = new Map();
+
+/**
+ * Error carrying the HTTP status an API route should respond with
+ */
+export class LeaderboardError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.status = status;
+  }
+}
+
+async function buildRanking(epochNumber, starsContract) {
+  // The live epoch is still being claimed into, so totals can lag the index
+  const players = await fetchEpochPlayers(epochNumber, starsContract, { crossCheck: false, sync: false });
+
+  const ranking = {
+    epoch: epochNumber,
+    players: rankPlayers(players).map(({ rank, address, stars }) => ({ rank, address, stars })),
+    updatedAt: Date.now()
+  };
+
+  rankingCache.delete(epochNumber);
+  rankingCache.set(epochNumber, ranking);
+  if (rankingCache.size > MAX_CACHED_EPOCHS) {
+    rankingCache.delete(rankingCache.keys().next().value);
+  }
+  return ranking;
+}
+
+/**
+ * Ranked players for an epoch, cached for CACHE_TTL_MS. Concurrent requests
+ * for an epoch share one rebuild.
+ * @returns {Object} { epoch, players: [{ rank, address, stars }], updatedAt }
+ */
+export async function getEpochRanking(epochNumber, starsContract = getStarsContract()) {
+  const cached = rankingCache.get(epochNumber);
+  if (cached && Date.now() - cached.updatedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  if (!rankingsInFlight.has(epochNumber)) {
+    rankingsInFlight.set(epochNumber, buildRanking(epochNumber, starsContract)
+      .finally(() => rankingsInFlight.delete(epochNumber)));
+  }
+  return rankingsInFlight.get(epochNumber);
+}
+
+/**
+ * One page of an epoch's leaderboard
+ * @param {number} [epochNumber] - Defaults to the current epoch
+ * @param {Object} [options]
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.pageSize] - Players per page (capped at MAX_PAGE_SIZE)
+ * @param {string} [options.address] - Wallet to report the position of
+ * @returns {Object} { epoch, totalPlayers, page, pageSize, totalPages, players, wallet, updatedAt }
+ * @throws {LeaderboardError} 404 for an epoch after the current one
+ */
+export async function getLeaderboard(epochNumber, { page = 1, pageSize = DEFAULT_PAGE_SIZE, address } = {}) {
+  const starsContract = getStarsContract();
+  const currentEpoch = Number(await starsContract.currentEpoch());
+  if (epochNumber > currentEpoch) {
+    throw new LeaderboardError(`Epoch ${epochNumber} has not started yet`, 404);
+  }
+  const epoch = epochNumber ?? currentEpoch;
+  const { players, updatedAt } = await getEpochRanking(epoch, starsContract);
+
+  const size = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+  const totalPages = Math.max(1, Math.ceil(players.length / size));
+  const start = (page - 1) * size;
+
+  let wallet = null;
+  if (address) {
+    const index = players.findIndex(p => p.address.toLowerCase() === address.toLowerCase());
+    wallet = index === -1
+      ? { address, rank: null, stars: 0, page: null }
+      : { ...players[index], page: Math.floor(index / size) + 1 };
+  }
+
+  return {
+    epoch,
+    totalPlayers: players.length,
+    page,
+    pageSize: size,
+    totalPages,
+    players: players.slice(start, start + size),
+    wallet,
+    updatedAt: new Date(updatedAt).toISOString()
+  };
+}
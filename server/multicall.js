@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+
+// ========================================
+// BATCHED CONTRACT READS
+// ========================================
+// Reads the same view function for many argument sets through Multicall3's
+// aggregate3, in chunks with a bounded number of requests in flight, so a
+// few thousand players cost a handful of RPC calls instead of one each.
+// Chains without Multicall3 fall back to direct calls, still bounded.
+
+// Multicall3 is deployed at the same address on most EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Calls per aggregate3 request - keeps each eth_call well under gas/size limits
+const DEFAULT_CHUNK_SIZE = 200;
+
+// Requests in flight at once
+const DEFAULT_CONCURRENCY = 3;
+
+// Code lookups per provider+address, so fallback detection costs one call
+const multicallAvailability = new WeakMap();
+
+/**
+ * Run fn over items with at most `limit` promises pending at a time
+ * @returns {Array} Results in the same order as items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function hasMulticall(provider, address) {
+  const key = address.toLowerCase();
+  let lookup = multicallAvailability.get(provider);
+  if (!lookup) {
+    lookup = new Map();
+    multicallAvailability.set(provider, lookup);
+  }
+  if (!lookup.has(key)) {
+    lookup.set(key, provider.getCode(address).then(code => code !== '0x'));
+  }
+  return lookup.get(key);
+}
+
+/**
+ * Call a view function once per argument set
+ * @param {ethers.Contract} contract - Contract with a provider attached
+ * @param {string} method - View function name, e.g. 'starsByEpoch'
+ * @param {Array<Array>} argsList - One argument array per call
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize] - Calls per aggregate3 request
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @param {string} [options.multicallAddress] - Defaults to MULTICALL_ADDRESS env or Multicall3
+ * @returns {Array} Decoded first return value of each call, in argsList order
+ */
+export async function batchCall(contract, method, argsList, {
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  concurrency = DEFAULT_CONCURRENCY,
+  multicallAddress = process.env.MULTICALL_ADDRESS || MULTICALL3_ADDRESS
+} = {}) {
+  const provider = contract.runner.provider || contract.runner;
+  const fragment = contract.interface.getFunction(method);
+
+  if (!(await hasMulticall(provider, multicallAddress))) {
+    console.warn(`⚠️ No Multicall3 at ${multicallAddress}, falling back to direct calls`);
+    return mapWithConcurrency(argsList, concurrency, args => contract[method](...args));
+  }
+
+  const multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+  const target = await contract.getAddress();
+
+  const chunkResults = await mapWithConcurrency(chunk(argsList, chunkSize), concurrency, async (argsChunk) => {
+    const calls = argsChunk.map(args => ({
+      target,
+      allowFailure: false,
+      callData: contract.interface.encodeFunctionData(fragment, args)
+    }));
+    const results = await multicall.aggregate3.staticCall(calls);
+    return results.map(({ returnData }) => contract.interface.decodeFunctionResult(fragment, returnData)[0]);
+  });
+
+  return chunkResults.flat();
+}
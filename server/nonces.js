@@ -0,0 +1,149 @@
+import { ethers } from 'ethers';
+import { getStateStore } from './kv.js';
+
+// ========================================
+// CLAIM NONCE REGISTRY
+// ========================================
+// Every star claim signature gets its nonce from one shared counter, so two
+// claims can never collide - not within a second, and not across serverless
+// instances (the counter lives in the state store, see kv.js incr).
+// Each issued nonce is recorded with its wallet and amount and marked
+// consumed when the claims indexer sees the matching StarsClaimed event.
+// A signature whose deadline passed unused can be renewed once: the old
+// nonce is marked renewed and the same rounds are signed with a new one.
+//
+// State store layout:
+//   nonce:counter          -> last issued nonce
+//   nonce:<n>              -> { nonce, wallet, amount, issuedAt, status, ... }
+//   nonce:<n>:renewed      -> renewal counter, only the first renewal wins
+//   nonces:<walletLower>:<n> -> n, one key per nonce issued to the wallet
+//
+// Nothing here reads, modifies and writes back a shared value: the counter
+// only moves through incr, and per-wallet entries are separate keys.
+
+const COUNTER_KEY = 'nonce:counter';
+
+const nonceKey = (nonce) => `nonce:${nonce}`;
+const walletPrefix = (wallet) => `nonces:${wallet.toLowerCase()}:`;
+
+/**
+ * Issue a fresh nonce for a claim and record who it was for
+ * @param {string} wallet - Checksummed wallet the signature is for
+ * @param {number} amount - Stars the signature is for
+ * @returns {number} Nonce to sign
+ */
+export async function allocateNonce(wallet, amount, store = getStateStore()) {
+  // Start a new counter above every timestamp-based nonce signed before the
+  // registry existed, so no wallet is ever handed a nonce it already used.
+  // SET NX: a concurrent first use can't move the counter back.
+  await store.setIfAbsent(COUNTER_KEY, Date.now() * 1000);
+
+  const nonce = await store.incr(COUNTER_KEY);
+
+  await store.set(nonceKey(nonce), {
+    nonce,
+    wallet,
+    amount,
+    issuedAt: Date.now(),
+    status: 'issued'
+  });
+
+  await store.set(walletPrefix(wallet) + nonce, nonce);
+
+  return nonce;
+}
+
+/**
+ * Record what a nonce was signed for, so an expired signature can be renewed
+ * @param {Object} claim - { deadline, rounds: [{ roundId, stars }] }
+ */
+export async function recordSignedClaim(nonce, { deadline, rounds }, store = getStateStore()) {
+  const record = await store.get(nonceKey(nonce));
+  if (record) {
+    await store.set(nonceKey(nonce), { ...record, deadline, rounds });
+  }
+}
+
+/**
+ * Mark an issued nonce renewed
+ * @returns {boolean} False if it was renewed already (incr makes this atomic)
+ */
+export async function markNonceRenewed(nonce, store = getStateStore()) {
+  if (await store.incr(`${nonceKey(nonce)}:renewed`) !== 1) {
+    return false;
+  }
+  const record = await store.get(nonceKey(nonce));
+  await store.set(nonceKey(nonce), { ...record, status: 'renewed', renewedAt: Date.now() });
+  return true;
+}
+
+/**
+ * Undo markNonceRenewed when the replacement couldn't be signed
+ */
+export async function unmarkNonceRenewed(nonce, store = getStateStore()) {
+  const record = await store.get(nonceKey(nonce));
+  if (record && record.status === 'renewed') {
+    const { renewedAt, ...issued } = record;
+    await store.set(nonceKey(nonce), { ...issued, status: 'issued' });
+  }
+  await store.delete(`${nonceKey(nonce)}:renewed`);
+}
+
+/**
+ * Mark a nonce that was never used as void (e.g. signing failed)
+ */
+export async function voidNonce(nonce, store = getStateStore()) {
+  const record = await store.get(nonceKey(nonce));
+  if (record && record.status === 'issued') {
+    await store.set(nonceKey(nonce), { ...record, status: 'void' });
+  }
+}
+
+/**
+ * Record for a nonce, or null if it was never issued by this registry
+ */
+export async function getNonce(nonce, store = getStateStore()) {
+  return store.get(nonceKey(nonce));
+}
+
+/**
+ * All nonce records issued to a wallet, oldest first
+ */
+export async function getWalletNonces(wallet, store = getStateStore()) {
+  const issued = (await store.keys(walletPrefix(wallet)))
+    .map(key => Number(key.slice(walletPrefix(wallet).length)))
+    .sort((a, b) => a - b);
+  const records = await Promise.all(issued.map(nonce => store.get(nonceKey(nonce))));
+  return records.filter(Boolean);
+}
+
+/**
+ * Mark nonces consumed for a batch of StarsClaimed events.
+ * Events for nonces this registry didn't issue (older claims) are ignored;
+ * a wallet or amount that doesn't match the record is flagged, not consumed.
+ * @returns {number} Records updated
+ */
+export async function markNoncesConsumed(events, store = getStateStore()) {
+  let updated = 0;
+
+  for (const event of events) {
+    const nonce = Number(event.args.nonce);
+    const record = await store.get(nonceKey(nonce));
+    if (!record || record.status === 'consumed') continue;
+
+    const matches = ethers.getAddress(event.args.user) === ethers.getAddress(record.wallet) &&
+      Number(event.args.amount) === record.amount;
+
+    await store.set(nonceKey(nonce), {
+      ...record,
+      status: matches ? 'consumed' : 'mismatch',
+      consumedAt: Date.now(),
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      epoch: Number(event.args.epoch)
+    });
+    updated++;
+  }
+
+  return updated;
+}
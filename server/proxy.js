@@ -0,0 +1,29 @@
+// ========================================
+// TRUSTED PROXY HEADERS
+// ========================================
+// x-forwarded-* headers are only read when a trusted hop wrote them: on
+// Vercel, which overwrites them, or when TRUSTED_PROXY_HOPS says how many
+// proxies sit in front of the Express server. A client can put anything in
+// those headers, so otherwise they are ignored.
+
+/**
+ * Value a trusted hop gave an x-forwarded-* header, or null
+ * - On Vercel: the header as the platform set it
+ * - Behind TRUSTED_PROXY_HOPS proxies: the entry the outermost one appended
+ *   (earlier entries came from the client and are ignored)
+ * - Otherwise: null
+ * @param {string} header - Lower-case header name, e.g. 'x-forwarded-for'
+ */
+export function getForwardedHeader(req, header, env = process.env) {
+  const chain = String(req.headers[header] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (chain.length === 0) return null;
+
+  if (env.VERCEL) {
+    return chain[chain.length - 1];
+  }
+  const hops = Number(env.TRUSTED_PROXY_HOPS || 0);
+  if (hops > 0) {
+    return chain[Math.max(chain.length - hops, 0)];
+  }
+  return null;
+}
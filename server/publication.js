@@ -0,0 +1,296 @@
+import crypto from 'crypto';
+import { getStateStore } from './kv.js';
+import { getStarsContract } from './chain.js';
+import { fetchEpochPlayers } from './claims-indexer.js';
+import { buildEpochRewards } from './rewards.js';
+import { getRewardStore } from './reward-store.js';
+import { STARS_ADMIN_ABI, getOnChainRoot, verifyEpoch } from './epochs.js';
+
+// ========================================
+// EPOCH PUBLICATION PIPELINE
+// ========================================
+// Publishing an epoch's rewards is five steps, each recorded in the server
+// state store with its status, attempts, error and (for setRoot) tx hash:
+//   snapshot -> players and stars from the claims indexer
+//   compute  -> rewards and Merkle root from the snapshot
+//   store    -> rewards file in the reward store
+//   setRoot  -> setMerkleRootAutomated (or setMerkleRoot)
+//   confirm  -> on-chain epochMerkleRoots matches the stored file
+// A run skips the steps already done and resumes at the first one that
+// isn't, so a failed transaction is retried instead of the epoch being
+// treated as published because its file exists.
+//
+// A stored file or on-chain root that differs from the computed one is never
+// replaced on its own - players may already be claiming against it. Those
+// steps fail until an operator reruns with force (npm run admin -- pipeline
+// <epoch> --force). An epoch published before the pipeline existed (stored
+// file and matching on-chain root) is adopted as complete without changes.
+//
+// Only one run works on an epoch at a time: runPublication (cron and the
+// admin pipeline command) and the admin publish command hold the epoch's
+// lock in the state store while they run. The lock expires after
+// PUBLICATION_LOCK_TTL_S in case a run dies holding it.
+
+export const PUBLICATION_STEPS = ['snapshot', 'compute', 'store', 'setRoot', 'confirm'];
+
+// How long a run waits on a transaction sent by an earlier run
+const PENDING_TX_WAIT_MS = 60 * 1000;
+
+// Longer than any run (the cron function times out well before this)
+const PUBLICATION_LOCK_TTL_S = 15 * 60;
+
+const publicationPrefix = (contract) => `publication:${contract.toLowerCase()}:`;
+const publicationKey = (contract, epoch) => `${publicationPrefix(contract)}${epoch}`;
+const snapshotKey = (contract, epoch) => `${publicationPrefix(contract)}${epoch}:players`;
+const lockKey = (contract, epoch) => `${publicationPrefix(contract)}${epoch}:lock`;
+
+/**
+ * Another run holds the epoch's publication lock
+ */
+export class PublicationLockedError extends Error {
+  constructor(epochNumber) {
+    super(`Epoch ${epochNumber} is being published by another run`);
+    this.name = 'PublicationLockedError';
+    this.status = 409;
+    this.epoch = epochNumber;
+  }
+}
+
+function newPublication(epochNumber, contract) {
+  const now = Date.now();
+  return {
+    epoch: epochNumber,
+    contract,
+    status: 'pending',
+    steps: Object.fromEntries(PUBLICATION_STEPS.map(step => [step, { status: 'pending', attempts: 0 }])),
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+}
+
+/**
+ * Publication record for an epoch, or null if it was never started
+ */
+export async function getPublication(epochNumber, { store = getStateStore(), contract = getStarsContract(STARS_ADMIN_ABI).target } = {}) {
+  return store.get(publicationKey(contract, epochNumber));
+}
+
+/**
+ * Every stored publication record, oldest epoch first
+ */
+export async function listPublications({ store = getStateStore(), contract = getStarsContract(STARS_ADMIN_ABI).target } = {}) {
+  const prefix = publicationPrefix(contract);
+  // Skip the snapshot and lock keys stored under the same prefix
+  const keys = (await store.keys(prefix)).filter(key => /^\d+$/.test(key.slice(prefix.length)));
+  const records = await Promise.all(keys.map(key => store.get(key)));
+  return records.filter(Boolean).sort((a, b) => a.epoch - b.epoch);
+}
+
+/**
+ * Run fn while holding the epoch's publication lock
+ * @throws {PublicationLockedError} If another run holds it
+ */
+export async function withPublicationLock(epochNumber, fn, { store = getStateStore(), contract = getStarsContract(STARS_ADMIN_ABI).target } = {}) {
+  const key = lockKey(contract, epochNumber);
+  const owner = crypto.randomUUID();
+  if (!(await store.setIfAbsent(key, { owner, lockedAt: Date.now() }, PUBLICATION_LOCK_TTL_S))) {
+    throw new PublicationLockedError(epochNumber);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Once expired the lock may belong to another run - leave that one alone
+    const lock = await store.get(key);
+    if (lock && lock.owner === owner) {
+      await store.delete(key);
+    }
+  }
+}
+
+// Step implementations: each returns details to record on the step, and may
+// call ctx.save(details) to persist something before it finishes
+
+const STEP_RUNNERS = {
+  async snapshot(ctx) {
+    const players = await fetchEpochPlayers(ctx.epochNumber, ctx.starsContract);
+    await ctx.store.set(snapshotKey(ctx.contract, ctx.epochNumber), players);
+    return { players: players.length };
+  },
+
+  async compute(ctx) {
+    const output = await ctx.loadOutput();
+    return { merkleRoot: output.merkleRoot, totalPlayers: output.totalPlayers };
+  },
+
+  async store(ctx) {
+    const output = await ctx.loadOutput();
+    const existing = await ctx.rewardStore.get(ctx.epochNumber);
+    if (existing && existing.merkleRoot.toLowerCase() === output.merkleRoot.toLowerCase()) {
+      return { location: null, reused: true };
+    }
+    if (existing && !ctx.force) {
+      throw new Error(`A rewards file with root ${existing.merkleRoot} is already stored, not replacing it with ${output.merkleRoot} (rerun with force to replace it)`);
+    }
+    // Don't serve proofs for a root the contract won't get (setRoot would refuse)
+    const onChainRoot = await getOnChainRoot(ctx.starsContract, ctx.epochNumber);
+    if (onChainRoot && onChainRoot.toLowerCase() !== output.merkleRoot.toLowerCase() && !ctx.force) {
+      throw new Error(`Root ${onChainRoot} is already set on-chain, not storing a file for ${output.merkleRoot} (rerun with force to replace it)`);
+    }
+    const { location } = await ctx.rewardStore.put(ctx.epochNumber, output);
+    return { location, reused: false, ...(existing && { replacedRoot: existing.merkleRoot }) };
+  },
+
+  async setRoot(ctx) {
+    const { merkleRoot } = ctx.record.steps.compute;
+    const matches = (root) => root?.toLowerCase() === merkleRoot.toLowerCase();
+    let onChainRoot = await getOnChainRoot(ctx.starsContract, ctx.epochNumber);
+
+    // A transaction from an earlier run may still land
+    const previousTx = ctx.record.steps.setRoot.txHash;
+    if (previousTx && !matches(onChainRoot)) {
+      const receipt = await ctx.starsContract.runner.provider.waitForTransaction(previousTx, 1, PENDING_TX_WAIT_MS).catch(() => null);
+      console.log(`📜 Earlier setRoot tx ${previousTx}: ${receipt ? (receipt.status === 1 ? 'mined' : 'reverted') : 'not mined'}`);
+      onChainRoot = await getOnChainRoot(ctx.starsContract, ctx.epochNumber);
+    }
+
+    if (matches(onChainRoot)) {
+      return { alreadySet: true };
+    }
+    if (onChainRoot && !ctx.force) {
+      throw new Error(`Root ${onChainRoot} is already set on-chain, not replacing it with ${merkleRoot} (rerun with force to replace it)`);
+    }
+
+    const starsContract = ctx.starsContract.connect(ctx.wallet);
+    const tx = ctx.automated
+      ? await starsContract.setMerkleRootAutomated(ctx.epochNumber, merkleRoot)
+      : await starsContract.setMerkleRoot(ctx.epochNumber, merkleRoot);
+    // Record the hash before waiting, so a timeout doesn't lose it
+    await ctx.save({ txHash: tx.hash });
+    console.log(`⏳ setRoot tx sent: ${tx.hash}`);
+
+    const receipt = await tx.wait();
+    return { txHash: tx.hash, blockNumber: receipt.blockNumber, alreadySet: false, ...(onChainRoot && { replacedRoot: onChainRoot }) };
+  },
+
+  async confirm(ctx) {
+    const result = await verifyEpoch(ctx.epochNumber, { store: ctx.rewardStore });
+    if (!result.ok) {
+      throw new Error(`On-chain root does not match the stored file (${result.reason}: file ${result.fileRoot}, on-chain ${result.onChainRoot})`);
+    }
+    return { onChainRoot: result.onChainRoot, proofsChecked: result.checked };
+  }
+};
+
+/**
+ * Run or resume an epoch's publication
+ * @param {number} epochNumber - Finished epoch to publish
+ * @param {ethers.Wallet} wallet - Sends setRoot (reward manager, or owner with automated: false)
+ * @param {Object} [options]
+ * @param {boolean} [options.automated] - Use setMerkleRootAutomated (default) instead of setMerkleRoot
+ * @param {boolean} [options.force] - Replace a different stored file and on-chain root (operator only, never the cron)
+ * @returns {Object} The publication record; status is 'complete' or 'failed'
+ * @throws {PublicationLockedError} If another run is publishing the epoch
+ */
+export async function runPublication(epochNumber, wallet, {
+  store = getStateStore(),
+  rewardStore = getRewardStore(),
+  automated = true,
+  force = false
+} = {}) {
+  const starsContract = getStarsContract(STARS_ADMIN_ABI);
+  const contract = starsContract.target;
+  return withPublicationLock(epochNumber, () => publishSteps(epochNumber, wallet, {
+    store, rewardStore, automated, force, starsContract, contract
+  }), { store, contract });
+}
+
+async function publishSteps(epochNumber, wallet, { store, rewardStore, automated, force, starsContract, contract }) {
+  const existingRecord = await getPublication(epochNumber, { store, contract });
+  const record = existingRecord || newPublication(epochNumber, contract);
+
+  if (record.status === 'complete') {
+    return record;
+  }
+
+  const persist = async () => {
+    record.updatedAt = Date.now();
+    await store.set(publicationKey(contract, epochNumber), record);
+  };
+
+  // Published before the pipeline existed: keep it exactly as it is
+  if (!existingRecord) {
+    const published = await verifyEpoch(epochNumber, { store: rewardStore });
+    if (published.ok) {
+      for (const name of PUBLICATION_STEPS) {
+        record.steps[name] = { status: 'skipped', attempts: 0 };
+      }
+      record.steps.confirm = { status: 'done', attempts: 1, onChainRoot: published.onChainRoot, proofsChecked: published.checked, adopted: true };
+      record.steps.compute = { status: 'skipped', attempts: 0, merkleRoot: published.fileRoot };
+      record.status = 'complete';
+      record.completedAt = Date.now();
+      await persist();
+      console.log(`ℹ️ Epoch ${epochNumber} was already published (root ${published.onChainRoot}), adopted as complete`);
+      return record;
+    }
+  }
+
+  // The rewards file is rebuilt from the snapshot when a resumed run needs it;
+  // the build is deterministic, and the root is checked against the recorded one
+  let output = null;
+  const loadOutput = async () => {
+    if (!output) {
+      const players = await store.get(snapshotKey(contract, epochNumber));
+      if (!players) throw new Error('Player snapshot missing');
+      output = buildEpochRewards(epochNumber, players);
+      const recordedRoot = record.steps.compute.merkleRoot;
+      if (recordedRoot && recordedRoot.toLowerCase() !== output.merkleRoot.toLowerCase()) {
+        throw new Error(`Rebuilt root ${output.merkleRoot} differs from computed root ${recordedRoot}`);
+      }
+    }
+    return output;
+  };
+
+  record.status = 'running';
+  await persist();
+
+  for (const name of PUBLICATION_STEPS) {
+    const step = record.steps[name];
+    if (step.status === 'done' || step.status === 'skipped') continue;
+
+    // Nothing to publish: finish without a root
+    if (name !== 'snapshot' && record.steps.snapshot.players === 0) {
+      record.steps[name] = { ...step, status: 'skipped' };
+      continue;
+    }
+
+    Object.assign(step, { status: 'running', attempts: step.attempts + 1, startedAt: Date.now(), error: null });
+    await persist();
+
+    const ctx = {
+      epochNumber, record, store, rewardStore, starsContract, contract, wallet, automated, force, loadOutput,
+      save: async (details) => {
+        Object.assign(step, details);
+        await persist();
+      }
+    };
+
+    try {
+      Object.assign(step, await STEP_RUNNERS[name](ctx), { status: 'done', finishedAt: Date.now() });
+      console.log(`✅ Epoch ${epochNumber} ${name} done`);
+    } catch (error) {
+      Object.assign(step, { status: 'failed', error: error.shortMessage || error.message, failedAt: Date.now() });
+      record.status = 'failed';
+      await persist();
+      console.error(`❌ Epoch ${epochNumber} ${name} failed:`, step.error);
+      return record;
+    }
+    await persist();
+  }
+
+  record.status = 'complete';
+  record.completedAt = Date.now();
+  await persist();
+  return record;
+}
@@ -0,0 +1,137 @@
+import { getStateStore } from './kv.js';
+import { getStarsContract } from './chain.js';
+import { getForwardedHeader } from './proxy.js';
+
+// ========================================
+// RATE LIMITING
+// ========================================
+// Fixed-window request counters per wallet and per IP, kept in the state
+// store so every serverless instance counts against the same limit.
+// Limits are "<max requests>/<window seconds>" and configurable by env:
+//   RATE_LIMIT_WALLET (default 3/600)   claim signatures
+//   RATE_LIMIT_IP     (default 20/600)
+//   RATE_LIMIT_ROUND_WALLET (default 60/600)   round start and result, each
+//   RATE_LIMIT_ROUND_IP     (default 120/600)
+//
+// The IP is only taken from headers a trusted hop wrote: x-real-ip on Vercel,
+// x-forwarded-for only when TRUSTED_PROXY_HOPS says how many proxies sit in
+// front of the Express server (see proxy.js).
+
+export const DEFAULT_LIMITS = {
+  wallet: '3/600',
+  ip: '20/600',
+  roundWallet: '60/600',
+  roundIp: '120/600'
+};
+
+const COOLDOWN_ABI = [
+  'function cooldownRemaining(address user) view returns (uint256)'
+];
+
+/**
+ * A request was refused until retryAfter seconds have passed
+ */
+export class RateLimitError extends Error {
+  constructor(message, retryAfter, reason) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Parse a "<max>/<windowSeconds>" limit
+ * @returns {Object} { max, windowSeconds }
+ */
+export function parseLimit(limit) {
+  const [max, windowSeconds] = String(limit).split('/').map(Number);
+  if (!Number.isInteger(max) || max < 1 || !Number.isInteger(windowSeconds) || windowSeconds < 1) {
+    throw new Error(`Invalid rate limit "${limit}" (expected <max>/<windowSeconds>)`);
+  }
+  return { max, windowSeconds };
+}
+
+/**
+ * Client IP as seen by the nearest trusted hop
+ * - On Vercel: x-real-ip, which the platform overwrites
+ * - Behind TRUSTED_PROXY_HOPS proxies: the x-forwarded-for entry the outermost
+ *   one appended (earlier entries came from the client and are ignored)
+ * - Otherwise: the socket peer
+ */
+export function getClientIp(req, env = process.env) {
+  if (env.VERCEL && req.headers['x-real-ip']) {
+    return String(req.headers['x-real-ip']).trim();
+  }
+
+  return getForwardedHeader(req, 'x-forwarded-for', env) || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Count a request against a limit, throwing once it is exceeded
+ * @param {string} scope - What is limited, e.g. 'claim:wallet'
+ * @param {string} id - Who is limited (wallet, IP)
+ * @param {Object} limit - { max, windowSeconds } (see parseLimit)
+ */
+export async function checkRateLimit(scope, id, { max, windowSeconds }, store = getStateStore()) {
+  const now = Math.floor(Date.now() / 1000);
+  const window = Math.floor(now / windowSeconds);
+  const count = await store.incr(`ratelimit:${scope}:${id.toLowerCase()}:${window}`, windowSeconds);
+
+  if (count > max) {
+    const retryAfter = (window + 1) * windowSeconds - now;
+    throw new RateLimitError(`Too many requests, try again in ${retryAfter}s`, retryAfter, 'rate-limit');
+  }
+}
+
+/**
+ * Refuse while the wallet's on-chain claim cooldown is running - the
+ * contract would revert the claim anyway
+ */
+export async function checkClaimCooldown(wallet) {
+  let remaining;
+  try {
+    remaining = Number(await getStarsContract(COOLDOWN_ABI).cooldownRemaining(wallet));
+  } catch (error) {
+    // The contract still enforces the cooldown, so don't block claims on an RPC hiccup
+    console.warn('⚠️ Could not read claim cooldown:', error.message);
+    return;
+  }
+
+  if (remaining > 0) {
+    throw new RateLimitError('Claim cooldown active', remaining, 'cooldown');
+  }
+}
+
+/**
+ * All checks for a signature request: per-IP, per-wallet, then on-chain cooldown
+ */
+export async function enforceClaimLimits(req, wallet, env = process.env) {
+  await checkRateLimit('claim:ip', getClientIp(req, env), parseLimit(env.RATE_LIMIT_IP || DEFAULT_LIMITS.ip));
+  await checkRateLimit('claim:wallet', wallet, parseLimit(env.RATE_LIMIT_WALLET || DEFAULT_LIMITS.wallet));
+  await checkClaimCooldown(wallet);
+}
+
+/**
+ * Limits for the round endpoints, counted per action ('round-start',
+ * 'round-result'): per-IP, then per-wallet when signed in
+ */
+export async function enforceRoundLimits(req, action, wallet, env = process.env) {
+  await checkRateLimit(`${action}:ip`, getClientIp(req, env), parseLimit(env.RATE_LIMIT_ROUND_IP || DEFAULT_LIMITS.roundIp));
+  if (wallet) {
+    await checkRateLimit(`${action}:wallet`, wallet, parseLimit(env.RATE_LIMIT_ROUND_WALLET || DEFAULT_LIMITS.roundWallet));
+  }
+}
+
+/**
+ * Send a RateLimitError as a 429 with Retry-After
+ */
+export function sendRateLimited(res, error) {
+  res.setHeader('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    error: error.message,
+    reason: error.reason,
+    retryAfter: error.retryAfter
+  });
+}
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import { rewardsFileName, serializeRewards } from './rewards.js';
+
+// ========================================
+// REWARD STORAGE
+// ========================================
+// Every place that reads or writes epoch-N-rewards.json goes through a
+// RewardStore, so the whole pipeline can run offline against a local
+// directory or memory and against Vercel Blob in production.
+//
+// RewardStore:
+//   get(epoch)         -> rewards file contents, or null if missing
+//   put(epoch, output) -> { location } where the file was written
+//   list()             -> epochs with a rewards file, ascending
+//   exists(epoch)      -> boolean
+
+const FILE_PATTERN = /^epoch-(\d+)-rewards\.json$/;
+
+function toEpoch(epoch) {
+  const epochNumber = Number(epoch);
+  if (!Number.isInteger(epochNumber) || epochNumber < 0) {
+    throw new Error(`Invalid epoch: ${epoch}`);
+  }
+  return epochNumber;
+}
+
+function epochsFromNames(names) {
+  return names
+    .map(name => FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Rewards files in a local directory
+ * @param {string} dir - Directory holding epoch-N-rewards.json files
+ */
+export function createFsRewardStore(dir) {
+  const fileFor = (epoch) => path.join(dir, rewardsFileName(toEpoch(epoch)));
+
+  return {
+    kind: 'fs',
+    async get(epoch) {
+      const file = fileFor(epoch);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+    async put(epoch, output) {
+      const file = fileFor(epoch);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, serializeRewards(output));
+      return { location: file };
+    },
+    async list() {
+      if (!fs.existsSync(dir)) return [];
+      return epochsFromNames(fs.readdirSync(dir));
+    },
+    async exists(epoch) {
+      return fs.existsSync(fileFor(epoch));
+    }
+  };
+}
+
+/**
+ * Rewards kept in memory (tests, dry runs)
+ */
+export function createMemoryRewardStore() {
+  const files = new Map();
+
+  return {
+    kind: 'memory',
+    async get(epoch) {
+      const json = files.get(toEpoch(epoch));
+      return json ? JSON.parse(json) : null;
+    },
+    async put(epoch, output) {
+      const epochNumber = toEpoch(epoch);
+      files.set(epochNumber, serializeRewards(output));
+      return { location: `memory:${rewardsFileName(epochNumber)}` };
+    },
+    async list() {
+      return [...files.keys()].sort((a, b) => a - b);
+    },
+    async exists(epoch) {
+      return files.has(toEpoch(epoch));
+    }
+  };
+}
+
+/**
+ * Rewards in Vercel Blob storage
+ * @param {Object} options
+ * @param {string} options.token - BLOB_READ_WRITE_TOKEN (needed for put and list)
+ * @param {string} [options.baseUrl] - Public store URL, e.g. https://<id>.public.blob.vercel-storage.com
+ *                                     (reads go straight to it; without it they are looked up via list)
+ */
+export function createBlobRewardStore({ token, baseUrl }) {
+  const blobApi = () => import('@vercel/blob');
+
+  async function urlFor(epoch) {
+    const fileName = rewardsFileName(toEpoch(epoch));
+    if (baseUrl) {
+      return `${baseUrl.replace(/\/$/, '')}/${fileName}`;
+    }
+    const { list } = await blobApi();
+    const { blobs } = await list({ prefix: fileName, token });
+    const blob = blobs.find(b => b.pathname === fileName);
+    return blob ? blob.url : null;
+  }
+
+  return {
+    kind: 'blob',
+    async get(epoch) {
+      const url = await urlFor(epoch);
+      if (!url) return null;
+      const response = await fetch(url, { cache: 'no-store' });
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Blob read for epoch ${epoch} failed with status ${response.status}`);
+      }
+      return response.json();
+    },
+    async put(epoch, output) {
+      const { put } = await blobApi();
+      const blob = await put(rewardsFileName(toEpoch(epoch)), serializeRewards(output), {
+        access: 'public',
+        token,
+        contentType: 'application/json',
+        addRandomSuffix: false,
+        allowOverwrite: true
+      });
+      return { location: blob.url };
+    },
+    async list() {
+      const { list } = await blobApi();
+      const names = [];
+      let cursor;
+      do {
+        const page = await list({ prefix: 'epoch-', token, cursor });
+        names.push(...page.blobs.map(b => b.pathname));
+        cursor = page.hasMore ? page.cursor : undefined;
+      } while (cursor);
+      return epochsFromNames(names);
+    },
+    async exists(epoch) {
+      const url = await urlFor(epoch);
+      if (!url) return false;
+      const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+      return response.ok;
+    }
+  };
+}
+
+/**
+ * Pick a reward store from environment:
+ * - REWARD_STORE=fs|memory|blob (default: blob on Vercel, fs elsewhere)
+ * - REWARDS_DIR: directory for the fs store (default: current directory)
+ * - BLOB_READ_WRITE_TOKEN / REWARDS_BLOB_BASE_URL: blob store settings
+ */
+export function createRewardStoreFromEnv(env = process.env) {
+  const kind = env.REWARD_STORE || (env.VERCEL ? 'blob' : 'fs');
+
+  switch (kind) {
+    case 'fs':
+      return createFsRewardStore(env.REWARDS_DIR || process.cwd());
+    case 'memory':
+      return createMemoryRewardStore();
+    case 'blob':
+      return createBlobRewardStore({
+        token: env.BLOB_READ_WRITE_TOKEN,
+        baseUrl: env.REWARDS_BLOB_BASE_URL
+      });
+    default:
+      throw new Error(`Unknown REWARD_STORE "${kind}" (expected fs, memory or blob)`);
+  }
+}
+
+let sharedRewardStore;
+
+/**
+ * Process-wide reward store shared by API routes and scripts
+ */
+export function getRewardStore() {
+  if (!sharedRewardStore) {
+    sharedRewardStore = createRewardStoreFromEnv();
+  }
+  return sharedRewardStore;
+}
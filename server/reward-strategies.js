@@ -0,0 +1,143 @@
+import fs from 'fs';
+
+// ========================================
+// REWARD CURVE STRATEGIES
+// ========================================
+// Each strategy turns a ranked list of players into weights. The emission is
+// split in proportion to the weights (see calculateRewards in rewards.js).
+// Strategies are chosen per epoch in config/rewards.json:
+//
+//   {
+//     "default": { "totalEmission": 10000, "strategy": "rank-power", "params": { "exponent": 1.5 } },
+//     "epochs": { "12": { "strategy": "sqrt-stars" } }
+//   }
+//
+// Epoch entries are merged over the default.
+
+const CONFIG_URL = new URL('../config/rewards.json', import.meta.url);
+
+/**
+ * Strategy registry
+ * Every weigh(players, params) receives players sorted by stars (descending)
+ * with their 1-based `position` in that order, and returns one non-negative
+ * weight per player. Weights of tied players are averaged afterwards, so a
+ * strategy never has to care about ties.
+ */
+export const STRATEGIES = {
+  // (N - rank + 1) ^ exponent - the original curve, ignores star counts
+  'rank-power': {
+    description: 'Rank-based curve, (N - rank + 1)^exponent',
+    defaults: { exponent: 1.5 },
+    weigh(players, { exponent }) {
+      const totalPlayers = players.length;
+      return players.map(player => Math.pow(totalPlayers - player.position + 1, exponent));
+    }
+  },
+
+  // Straight share of all stars earned
+  'proportional': {
+    description: 'Proportional to stars',
+    defaults: {},
+    weigh(players) {
+      return players.map(player => player.stars);
+    }
+  },
+
+  // Diminishing returns for grinding
+  'sqrt-stars': {
+    description: 'Proportional to the square root of stars',
+    defaults: {},
+    weigh(players) {
+      return players.map(player => Math.sqrt(player.stars));
+    }
+  },
+
+  // Fixed weight per bracket; `top` is the fraction of players a bracket reaches down to
+  'tiered': {
+    description: 'Tiered brackets by rank percentile',
+    defaults: {
+      tiers: [
+        { top: 0.1, weight: 10 },
+        { top: 0.5, weight: 3 },
+        { top: 1, weight: 1 }
+      ]
+    },
+    weigh(players, { tiers }) {
+      const totalPlayers = players.length;
+      const sortedTiers = [...tiers].sort((a, b) => a.top - b.top);
+      return players.map(player => {
+        const tier = sortedTiers.find(t => player.position <= Math.ceil(t.top * totalPlayers));
+        return tier ? tier.weight : 0;
+      });
+    }
+  },
+
+  // floorShare of the emission split evenly among everyone,
+  // the rest among the top N in proportion to stars
+  'top-n-floor': {
+    description: 'Top N by stars plus an even participation floor',
+    defaults: { topN: 10, floorShare: 0.2 },
+    weigh(players, { topN, floorShare }) {
+      const totalPlayers = players.length;
+      const topStars = players
+        .filter(player => player.position <= topN)
+        .reduce((sum, player) => sum + player.stars, 0);
+
+      return players.map(player => {
+        const floor = floorShare / totalPlayers;
+        const top = player.position <= topN && topStars > 0
+          ? (1 - floorShare) * player.stars / topStars
+          : 0;
+        return floor + top;
+      });
+    }
+  }
+};
+
+/**
+ * Look up a strategy and fill in its default params
+ * @returns {Object} { name, description, params, weigh }
+ */
+export function resolveStrategy(name, params = {}) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown reward strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return {
+    name,
+    description: strategy.description,
+    params: { ...strategy.defaults, ...params },
+    weigh: strategy.weigh
+  };
+}
+
+/**
+ * Read config/rewards.json
+ */
+export function loadRewardConfig() {
+  return JSON.parse(fs.readFileSync(CONFIG_URL, 'utf8'));
+}
+
+/**
+ * Reward settings for an epoch - the epoch's entry merged over the default
+ * @returns {Object} { totalEmission, strategy, params }
+ */
+export function getEpochRewardConfig(epochNumber, config = loadRewardConfig()) {
+  const base = config.default;
+  const override = (config.epochs || {})[String(epochNumber)] || {};
+
+  // Switching strategy drops the default strategy's params
+  const params = override.strategy && override.strategy !== base.strategy
+    ? override.params || {}
+    : { ...base.params, ...override.params };
+
+  const epochConfig = {
+    totalEmission: override.totalEmission ?? base.totalEmission,
+    strategy: override.strategy || base.strategy,
+    params
+  };
+
+  // Fail early on typos in the config
+  resolveStrategy(epochConfig.strategy, epochConfig.params);
+  return epochConfig;
+}
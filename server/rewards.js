@@ -0,0 +1,387 @@
+import { ethers } from 'ethers';
+import { MerkleTree } from 'merkletreejs';
+import { getEpochRewardConfig, resolveStrategy } from './reward-strategies.js';
+
+// ========================================
+// SHARED REWARDS LIBRARY
+// ========================================
+// Used by both the cron (api/generate-rewards.js) and the CLI
+// (scripts/generate-rewards.js) so the same epoch always produces the
+// same amounts, Merkle root and proofs.
+
+// Strategy weights are converted to integers at this precision before the
+// BigInt split, so the allocation itself never touches floating point
+const WEIGHT_SCALE = 1e12;
+
+/**
+ * Order players for ranking: stars descending, then lowercase address so the
+ * order never depends on input order. Each player gets its 1-based `position`
+ * in that order and a `rank` shared by ties (1, 2, 2, 4...).
+ * @param {Array} players - Array of {address, stars}
+ * @returns {Array} Sorted copies with position and rank
+ */
+export function rankPlayers(players) {
+  const sorted = [...players]
+    .sort((a, b) => b.stars - a.stars || a.address.toLowerCase().localeCompare(b.address.toLowerCase()));
+
+  let rank = 0;
+  return sorted.map((player, index) => {
+    if (index === 0 || player.stars !== sorted[index - 1].stars) {
+      rank = index + 1;
+    }
+    return { ...player, position: index + 1, rank };
+  });
+}
+
+/**
+ * Reward distribution: the epoch's strategy weighs each player and the
+ * emission is split in proportion to the weights, entirely in BigInt wei.
+ *
+ * Ties: players with equal stars share a rank (1, 2, 2, 4...) and the
+ * weights of their positions are averaged, so they are paid the same.
+ *
+ * Dust: each player's amount is rounded down. The leftover (always fewer wei
+ * than there are players) is handed out in passes over the tie groups in
+ * rank order: a group whose size the remaining dust covers gets 1 wei per
+ * member, a group it can't cover is skipped, and passes repeat while the
+ * smallest group still fits. Tied players always get the identical amount.
+ * What's left after that is smaller than every tie group (so it is only ever
+ * non-zero when every player is tied with someone) and is reported as
+ * undistributedDustWei: totalPaidWei + undistributedDustWei is always
+ * exactly the emission.
+ *
+ * @param {Array} players - Array of {address, stars}
+ * @param {Object} rewardConfig - { totalEmission, strategy, params } (see getEpochRewardConfig)
+ * @returns {Object} { rewards, totalPaidWei, undistributedDustWei } - rewards sorted by
+ *   rank with rewardAmount in wei as a string; the totals are BigInt wei
+ */
+export function allocateRewards(players, { totalEmission, strategy, params }) {
+  const { weigh, params: strategyParams } = resolveStrategy(strategy, params);
+  const emissionWei = ethers.parseEther(String(totalEmission));
+
+  const sorted = rankPlayers(players);
+
+  const totalPlayers = sorted.length;
+  if (totalPlayers === 0) {
+    return { rewards: [], totalPaidWei: 0n, undistributedDustWei: emissionWei };
+  }
+
+  const positionWeights = weigh(sorted, strategyParams)
+    .map(weight => BigInt(Math.round(weight * WEIGHT_SCALE)));
+
+  // Group tied players (they already share a rank)
+  const groups = [];
+  sorted.forEach((player, index) => {
+    const group = groups[groups.length - 1];
+    if (group && group.rank === player.rank) {
+      group.members.push(index);
+    } else {
+      groups.push({ rank: player.rank, members: [index] });
+    }
+  });
+
+  const totalWeight = positionWeights.reduce((sum, w) => sum + w, 0n);
+  if (totalWeight === 0n) {
+    throw new Error(`Strategy "${strategy}" gave every player zero weight`);
+  }
+
+  // Equal amount for every member of a group, rounded down
+  const amounts = new Array(totalPlayers);
+  const ranks = new Array(totalPlayers);
+  const weights = new Array(totalPlayers);
+  for (const group of groups) {
+    const size = BigInt(group.members.length);
+    const groupWeight = group.members.reduce((sum, index) => sum + positionWeights[index], 0n);
+    const amount = (emissionWei * groupWeight) / (totalWeight * size);
+    for (const index of group.members) {
+      amounts[index] = amount;
+      ranks[index] = group.rank;
+      weights[index] = groupWeight / size;
+    }
+  }
+
+  // Dust: 1 wei per member, whole groups in rank order, so ties stay equal
+  let dust = emissionWei - amounts.reduce((sum, amount) => sum + amount, 0n);
+  const smallestGroup = BigInt(Math.min(...groups.map(group => group.members.length)));
+  while (dust >= smallestGroup) {
+    for (const group of groups) {
+      const size = BigInt(group.members.length);
+      if (dust < size) continue;
+      for (const index of group.members) {
+        amounts[index] += 1n;
+      }
+      dust -= size;
+    }
+  }
+
+  const totalPaid = amounts.reduce((sum, amount) => sum + amount, 0n);
+  if (totalPaid + dust !== emissionWei || dust >= smallestGroup) {
+    throw new Error(`Reward allocation paid ${totalPaid} wei plus ${dust} wei dust of ${emissionWei}`);
+  }
+
+  const rewards = sorted.map((player, index) => ({
+    address: player.address,
+    stars: player.stars,
+    rank: ranks[index],
+    percentile: ((ranks[index] / totalPlayers) * 100).toFixed(2),
+    weight: (Number(weights[index]) / WEIGHT_SCALE).toFixed(2),
+    // Basis points keep the share exact enough for display without floats
+    shareOfTotal: (Number((amounts[index] * 10000n) / emissionWei) / 100).toFixed(2) + '%',
+    rewardAmount: amounts[index].toString()
+  }));
+
+  return { rewards, totalPaidWei: totalPaid, undistributedDustWei: dust };
+}
+
+/**
+ * Rewards for each player (see allocateRewards for the rules)
+ * @returns {Array} Rewards sorted by rank, rewardAmount in wei as a string
+ */
+export function calculateRewards(players, rewardConfig) {
+  return allocateRewards(players, rewardConfig).rewards;
+}
+
+/**
+ * Merkle leaf for a reward - keccak256(abi.encodePacked(address, uint256)),
+ * exactly what claimChops hashes for msg.sender
+ */
+export function hashLeaf(address, rewardAmount) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'uint256'],
+    [address, BigInt(rewardAmount)]
+  );
+}
+
+/**
+ * Generate Merkle tree from rewards
+ * Pairs are sorted before hashing, matching OpenZeppelin's MerkleProof
+ * @returns {Object} { root, rewards (each with proof), tree }
+ */
+export function generateMerkleTree(rewards) {
+  const leaves = rewards.map(reward => hashLeaf(reward.address, reward.rewardAmount));
+
+  const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
+  const root = tree.getHexRoot();
+
+  // Generate proofs for each player
+  const rewardsWithProofs = rewards.map((reward, index) => ({
+    ...reward,
+    proof: tree.getHexProof(leaves[index])
+  }));
+
+  return {
+    root,
+    rewards: rewardsWithProofs,
+    tree
+  };
+}
+
+/**
+ * Verify a proof the way the contract does (OpenZeppelin MerkleProof.verify):
+ * walk up from the leaf, hashing each pair in sorted order.
+ * Independent of merkletreejs, so it also checks the tree library's output.
+ */
+export function verifyProof(root, address, rewardAmount, proof) {
+  let computed = hashLeaf(address, rewardAmount);
+
+  for (const sibling of proof) {
+    const [first, second] = BigInt(computed) <= BigInt(sibling)
+      ? [computed, sibling]
+      : [sibling, computed];
+    computed = ethers.keccak256(ethers.concat([first, second]));
+  }
+
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+/**
+ * Check every proof in a rewards file against its root using the contract's
+ * leaf hashing and pair ordering
+ * @param {Object} output - Rewards file contents
+ * @returns {Object} { compatible, checked, failures: [address] }
+ */
+export function checkContractCompatibility(output) {
+  const failures = output.rewards
+    .filter(reward => !verifyProof(output.merkleRoot, reward.address, reward.rewardAmount, reward.proof))
+    .map(reward => reward.address);
+
+  return {
+    compatible: failures.length === 0,
+    checked: output.rewards.length,
+    failures
+  };
+}
+
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Problems that make a rewards file unsafe to publish for an epoch: wrong
+ * epoch, malformed root or rewards, duplicate addresses, or proofs that
+ * don't verify against the file's own root
+ * @param {Object} output - Rewards file contents
+ * @param {number} epochNumber - Epoch it is about to be published for
+ * @returns {Array<string>} Empty when the file is valid
+ */
+export function validateRewardsFile(output, epochNumber) {
+  if (!output || typeof output !== 'object') return ['Not a rewards file'];
+
+  const problems = [];
+  if (Number(output.epoch) !== epochNumber) {
+    problems.push(`File is for epoch ${output.epoch}, not ${epochNumber}`);
+  }
+  if (!BYTES32_PATTERN.test(String(output.merkleRoot))) {
+    problems.push('merkleRoot is not a bytes32 hex string');
+  }
+  if (!Array.isArray(output.rewards) || output.rewards.length === 0) {
+    problems.push('rewards is missing or empty');
+    return problems;
+  }
+
+  const seen = new Set();
+  output.rewards.forEach((reward, index) => {
+    const label = `rewards[${index}]`;
+    if (!ethers.isAddress(reward?.address)) {
+      problems.push(`${label}: invalid address`);
+      return;
+    }
+    if (seen.has(reward.address.toLowerCase())) {
+      problems.push(`${label}: duplicate address ${reward.address}`);
+    }
+    seen.add(reward.address.toLowerCase());
+    if (!/^\d+$/.test(String(reward.rewardAmount))) {
+      problems.push(`${label}: rewardAmount is not a wei integer`);
+      return;
+    }
+    if (!Array.isArray(reward.proof) || !reward.proof.every(node => BYTES32_PATTERN.test(String(node)))) {
+      problems.push(`${label}: proof is not a list of bytes32`);
+      return;
+    }
+    if (BYTES32_PATTERN.test(String(output.merkleRoot)) &&
+        !verifyProof(output.merkleRoot, reward.address, reward.rewardAmount, reward.proof)) {
+      problems.push(`${label}: proof for ${reward.address} does not verify against merkleRoot`);
+    }
+  });
+
+  // Files written since totals were recorded must add up
+  if (output.totalPaidWei !== undefined && problems.length === 0) {
+    const paid = output.rewards.reduce((sum, reward) => sum + BigInt(reward.rewardAmount), 0n);
+    if (String(paid) !== String(output.totalPaidWei)) {
+      problems.push(`rewards add up to ${paid} wei, not totalPaidWei ${output.totalPaidWei}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Build the rewards file for an epoch
+ * @param {number} epochNumber - Epoch the rewards are for
+ * @param {Array} players - Array of {address, stars}
+ * @param {Object} [rewardConfig] - Defaults to the epoch's entry in config/rewards.json
+ * @returns {Object} Rewards file contents (see rewardsFileName)
+ */
+export function buildEpochRewards(epochNumber, players, rewardConfig = getEpochRewardConfig(epochNumber)) {
+  const { rewards, totalPaidWei, undistributedDustWei } = allocateRewards(players, rewardConfig);
+  const { root, rewards: rewardsWithProofs } = generateMerkleTree(rewards);
+
+  const output = {
+    epoch: epochNumber,
+    merkleRoot: root,
+    timestamp: new Date().toISOString(),
+    totalPlayers: players.length,
+    totalEmission: rewardConfig.totalEmission,
+    // Exact wei paid out; with the dust no tie group could split evenly
+    // (see allocateRewards) it adds up to the emission
+    totalPaidWei: totalPaidWei.toString(),
+    undistributedDustWei: undistributedDustWei.toString(),
+    strategy: rewardConfig.strategy,
+    strategyParams: resolveStrategy(rewardConfig.strategy, rewardConfig.params).params,
+    rewards: rewardsWithProofs.map(r => ({
+      address: r.address,
+      stars: r.stars,
+      rank: r.rank,
+      percentile: r.percentile,
+      rewardAmount: r.rewardAmount,
+      rewardAmountFormatted: ethers.formatEther(r.rewardAmount) + ' CHOPS',
+      proof: r.proof
+    }))
+  };
+
+  // Never publish a root the contract would reject proofs for
+  const compatibility = checkContractCompatibility(output);
+  if (!compatibility.compatible) {
+    throw new Error(`Merkle proofs failed contract compatibility check for: ${compatibility.failures.join(', ')}`);
+  }
+
+  return output;
+}
+
+/**
+ * File name rewards for an epoch are stored under (local disk and blob)
+ */
+export function rewardsFileName(epochNumber) {
+  return `epoch-${epochNumber}-rewards.json`;
+}
+
+/**
+ * Serialize a rewards file, handling any remaining BigInts
+ */
+export function serializeRewards(output) {
+  return JSON.stringify(output, (key, value) => {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    return value;
+  }, 2);
+}
+
+/**
+ * Compare two rewards files for the same epoch, e.g. a dry run against the
+ * stored file, before anything is published
+ * @param {Object} previous - Existing rewards file
+ * @param {Object} next - Newly computed rewards file
+ * @returns {Object} { rootMatches, previousRoot, nextRoot, added, removed, changed, unchanged }
+ */
+export function diffRewards(previous, next) {
+  const byAddress = (output) => new Map(output.rewards.map(reward => [reward.address.toLowerCase(), reward]));
+  const before = byAddress(previous);
+  const after = byAddress(next);
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, reward] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push({ address: reward.address, stars: reward.stars, rank: reward.rank, rewardAmount: reward.rewardAmount });
+    } else if (old.rewardAmount !== reward.rewardAmount || old.stars !== reward.stars || old.rank !== reward.rank) {
+      changed.push({
+        address: reward.address,
+        previousStars: old.stars,
+        stars: reward.stars,
+        previousRank: old.rank,
+        rank: reward.rank,
+        previousAmount: old.rewardAmount,
+        rewardAmount: reward.rewardAmount,
+        deltaWei: (BigInt(reward.rewardAmount) - BigInt(old.rewardAmount)).toString()
+      });
+    } else {
+      unchanged++;
+    }
+  }
+
+  const removed = [...before]
+    .filter(([key]) => !after.has(key))
+    .map(([, reward]) => ({ address: reward.address, stars: reward.stars, rank: reward.rank, rewardAmount: reward.rewardAmount }));
+
+  return {
+    rootMatches: previous.merkleRoot.toLowerCase() === next.merkleRoot.toLowerCase(),
+    previousRoot: previous.merkleRoot,
+    nextRoot: next.merkleRoot,
+    added,
+    removed,
+    changed,
+    unchanged
+  };
+}
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import { CANVAS_SIZE, imageRect, outlineMask } from '../public/lib/chop-engine.js';
+
+// ========================================
+// ROUND IMAGE MASKS
+// ========================================
+// The alpha mask the game scores a chop on, rebuilt on the server from the
+// same PNG: fitted onto the canvas with imageRect, then outlined. The
+// browser's image smoothing is approximated with a box filter, so edge
+// pixels can differ slightly - callers compare with a tolerance.
+
+const masks = new Map();
+
+/**
+ * Box-filter the PNG's alpha channel onto the square canvas
+ */
+function renderAlpha(png, size) {
+  const rect = imageRect(png.width, png.height, size);
+  const scaleX = png.width / rect.width;
+  const scaleY = png.height / rect.height;
+  const mask = new Uint8Array(size * size);
+
+  for (let py = 0; py < size; py++) {
+    const sy0 = Math.max(0, Math.floor((py - rect.y) * scaleY));
+    const sy1 = Math.min(png.height, Math.ceil((py + 1 - rect.y) * scaleY));
+    if (sy1 <= sy0) continue;
+
+    for (let px = 0; px < size; px++) {
+      const sx0 = Math.max(0, Math.floor((px - rect.x) * scaleX));
+      const sx1 = Math.min(png.width, Math.ceil((px + 1 - rect.x) * scaleX));
+      if (sx1 <= sx0) continue;
+
+      let alpha = 0;
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          alpha += png.data[(sy * png.width + sx) * 4 + 3];
+        }
+      }
+      mask[py * size + px] = Math.round(alpha / ((sy1 - sy0) * (sx1 - sx0)));
+    }
+  }
+  return mask;
+}
+
+/**
+ * Outlined alpha mask of a round image at the game's canvas size, cached
+ * @param {string} image - Path relative to public/ (see ROUND_IMAGES)
+ * @returns {Object} { mask, width, height }
+ */
+export function getRoundMask(image) {
+  if (!masks.has(image)) {
+    const png = PNG.sync.read(fs.readFileSync(new URL(`../public/${image}`, import.meta.url)));
+    const mask = outlineMask(renderAlpha(png, CANVAS_SIZE), CANVAS_SIZE, CANVAS_SIZE);
+    masks.set(image, { mask, width: CANVAS_SIZE, height: CANVAS_SIZE });
+  }
+  return masks.get(image);
+}
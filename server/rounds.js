@@ -0,0 +1,476 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { getStateStore } from './kv.js';
+import { getStarsContract } from './chain.js';
+import {
+  allocateNonce,
+  voidNonce,
+  getNonce,
+  recordSignedClaim,
+  markNonceRenewed,
+  unmarkNonceRenewed
+} from './nonces.js';
+import { generateStarClaimSignature } from './signer.js';
+import { signData, readSignedData } from './auth.js';
+import { knifeAt, scoreCut } from '../public/lib/chop-engine.js';
+import { getRoundMask } from './round-masks.js';
+import { rollRound } from '../public/lib/rng.js';
+
+// ========================================
+// ROUND LEDGER
+// ========================================
+// The server issues every round (goal, image, seed) and records the result
+// the client reports. Star claims are signed only for the total the ledger
+// holds for the wallet's last rounds - never for a client-supplied number.
+//
+// Each completed round also gets a signed receipt (round id, goal, diff,
+// stars) the client keeps, so stars survive a page refresh. A claim can
+// present a bundle of receipts instead of relying on the ledger; either way
+// every round is spent at most once: the round record itself must be
+// completed, owned by the wallet and not yet claimed, and is marked claimed.
+// A receipt only points at its round record - the stars come from the
+// record - and expires after RECEIPT_TTL_MS.
+//
+// Round records are written with a TTL and expire from the store with the
+// round: an open round after ROUND_TTL_MS, a completed or claimed one when
+// its receipt does. Ledger entries past that age are dropped as well.
+//
+// Spent rounds stay spent once their claim is signed. If the signature runs
+// out before the claim transaction lands, renewRoundsClaim signs the same
+// rounds again with a new nonce - after checking on chain that the old one
+// was never used.
+
+// Images the game can drop in (paths relative to public/)
+// Must match availableImages in public/game.html - the seed picks by index
+export const ROUND_IMAGES = [
+  'images/capychop.png',
+  'images/tester.png'
+];
+
+// Same window as the in-game "LAST 5" counter
+export const MAX_CLAIM_ROUNDS = 5;
+
+// Rounds must be finished within this time after being issued
+const ROUND_TTL_MS = 10 * 60 * 1000;
+
+// Largest gap (percentage points) allowed between the client's chop and the
+// server's re-scored cut - image smoothing differs a little between them
+const CHOP_TOLERANCE_PCT = 1;
+
+// signData purpose for round receipts
+const RECEIPT_PURPOSE = 'round-receipt';
+
+// Receipts must be claimed within this time after the round
+export const RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Seconds past a claim's deadline before it may be renewed, so a transaction
+// mined right at the deadline is seen on chain first
+const RENEW_GRACE_S = 5 * 60;
+
+/**
+ * Error carrying the HTTP status an API route should respond with
+ */
+export class RoundError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'RoundError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function normalizeWallet(walletAddress) {
+  try {
+    return ethers.getAddress(walletAddress);
+  } catch {
+    throw new RoundError('Invalid wallet address');
+  }
+}
+
+const roundKey = (roundId) => `round:${roundId}`;
+const ledgerKey = (wallet) => `ledger:${wallet.toLowerCase()}`;
+const spentKey = (roundId) => `round:${roundId}:spent`;
+const resultKey = (roundId) => `round:${roundId}:result`;
+
+async function getLedger(store, wallet) {
+  const ledger = (await store.get(ledgerKey(wallet))) || { pending: [] };
+  // Their round records are gone from the store
+  const cutoff = Date.now() - RECEIPT_TTL_MS;
+  return { ...ledger, pending: ledger.pending.filter(entry => entry.completedAt > cutoff) };
+}
+
+/**
+ * Seconds a round record has left: until the round expires while open,
+ * until its receipt expires once completed
+ */
+function roundTtlSeconds(round) {
+  const expiresAt = round.completedAt ? round.completedAt + RECEIPT_TTL_MS : round.issuedAt + ROUND_TTL_MS;
+  return Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1);
+}
+
+/**
+ * Put rounds back into the wallet's ledger after a failed claim. Re-reads
+ * the ledger, so rounds completed meanwhile are kept.
+ */
+async function restorePending(store, wallet, entries) {
+  if (entries.length === 0) return;
+  const ledger = await getLedger(store, wallet);
+  const pending = [
+    ...ledger.pending.filter(entry => !entries.some(restored => restored.roundId === entry.roundId)),
+    ...entries.map(({ roundId, stars, completedAt }) => ({ roundId, stars, completedAt }))
+  ].sort((a, b) => a.completedAt - b.completedAt);
+  await store.set(ledgerKey(wallet), { ...ledger, pending: pending.slice(-MAX_CLAIM_ROUNDS) });
+}
+
+/**
+ * Issue a new round
+ * @param {string} [walletAddress] - Player wallet; rounds without one can't be claimed
+ * @returns {Object} { roundId, goal, image, seed, expiresAt }
+ */
+export async function startRound(walletAddress, store = getStateStore()) {
+  const wallet = walletAddress ? normalizeWallet(walletAddress) : null;
+
+  // Goal and image are derived from the seed so the round can be re-created
+  const seed = crypto.randomInt(0, 2 ** 32);
+  const { goal, image } = rollRound(seed, ROUND_IMAGES);
+
+  const round = {
+    roundId: crypto.randomUUID(),
+    wallet,
+    seed,
+    goal,
+    image,
+    status: 'open',
+    issuedAt: Date.now()
+  };
+
+  await store.set(roundKey(round.roundId), round, roundTtlSeconds(round));
+
+  return {
+    roundId: round.roundId,
+    goal: round.goal,
+    image: round.image,
+    seed: round.seed,
+    expiresAt: round.issuedAt + ROUND_TTL_MS
+  };
+}
+
+/**
+ * Record the result the client reports for a round. The server re-creates
+ * the cut from the round's image and the knife at chopTick and scores that;
+ * the client's leftPct only has to agree with it.
+ * @param {string} roundId - Round issued by startRound
+ * @param {string} [walletAddress] - Must match the wallet the round was issued to
+ * @param {Object} result
+ * @param {number} result.leftPct - Percentage of the image on the left of the cut, as the client saw it
+ * @param {number} result.chopTick - Animation tick of the chop (fixes the knife, see knifeAt)
+ * @returns {Object} { roundId, goal, chopPct, diff, stars, claimable }
+ */
+export async function submitRoundResult(roundId, walletAddress, { leftPct, chopTick }, store = getStateStore()) {
+  const round = roundId ? await store.get(roundKey(roundId)) : null;
+  if (!round) {
+    throw new RoundError('Unknown round', 404);
+  }
+  if (round.status !== 'open') {
+    throw new RoundError('Round already completed', 409);
+  }
+  if (Date.now() > round.issuedAt + ROUND_TTL_MS) {
+    throw new RoundError('Round expired', 410);
+  }
+
+  const wallet = walletAddress ? normalizeWallet(walletAddress) : null;
+  if (round.wallet && wallet !== round.wallet) {
+    throw new RoundError('Round was issued to a different wallet', 403);
+  }
+
+  const clientPct = Number(leftPct);
+  if (!Number.isFinite(clientPct) || clientPct < 0 || clientPct > 100) {
+    throw new RoundError('Invalid chop percentage');
+  }
+  if (!Number.isInteger(chopTick) || chopTick <= 0) {
+    throw new RoundError('Invalid chop tick');
+  }
+
+  // Same scoring the game runs in the browser, on the server's own cut
+  const { mask, width, height } = getRoundMask(round.image);
+  const { x, angle } = knifeAt(chopTick, width);
+  const { leftPct: pct, diff, stars } = scoreCut({ mask, width, height, x, angle, goal: round.goal });
+  if (Math.abs(pct - clientPct) > CHOP_TOLERANCE_PCT) {
+    throw new RoundError('Chop does not match the round', 422);
+  }
+
+  // Only one result per round: incr is atomic, so of two concurrent
+  // submits exactly one gets past here
+  if (await store.incr(resultKey(round.roundId), ROUND_TTL_MS / 1000) !== 1) {
+    throw new RoundError('Round already completed', 409);
+  }
+
+  round.status = 'completed';
+  round.completedAt = Date.now();
+  round.chopPct = pct;
+  round.diff = diff;
+  round.stars = stars;
+  round.chopTick = chopTick;
+  await store.set(roundKey(round.roundId), round, roundTtlSeconds(round));
+
+  if (round.wallet) {
+    const ledger = await getLedger(store, round.wallet);
+    ledger.pending.push({ roundId: round.roundId, stars, completedAt: round.completedAt });
+    // Keep only the last rounds, matching the in-game counter
+    ledger.pending = ledger.pending.slice(-MAX_CLAIM_ROUNDS);
+    await store.set(ledgerKey(round.wallet), ledger);
+  }
+
+  return {
+    roundId: round.roundId,
+    goal: round.goal,
+    chopPct: pct,
+    diff,
+    stars,
+    claimable: !!round.wallet,
+    receipt: round.wallet ? issueReceipt(round) : null
+  };
+}
+
+/**
+ * Signed receipt for a completed round, kept by the client until claimed
+ * @returns {Object} { roundId, wallet, goal, diff, stars, completedAt, expiresAt, token }
+ */
+function issueReceipt(round) {
+  const receipt = {
+    roundId: round.roundId,
+    wallet: round.wallet,
+    goal: round.goal,
+    diff: round.diff,
+    stars: round.stars,
+    completedAt: round.completedAt,
+    expiresAt: round.completedAt + RECEIPT_TTL_MS
+  };
+  return { ...receipt, token: signData(receipt, RECEIPT_PURPOSE) };
+}
+
+/**
+ * Mark rounds as claimed, all or none. Each round record must be completed,
+ * issued to the wallet and not yet claimed.
+ * @returns {Array} The claimed round records
+ * @throws {RoundError} 409 (with roundId) if any of them can't be claimed
+ */
+async function spendRounds(roundIds, wallet, store) {
+  const spent = [];
+  for (const roundId of roundIds) {
+    // incr is atomic, so only one claim ever sees 1 for a round
+    if (await store.incr(spentKey(roundId), RECEIPT_TTL_MS / 1000) !== 1) {
+      await unspendRounds(spent, store);
+      throw new RoundError('Round already claimed', 409, { roundId });
+    }
+    spent.push(roundId);
+
+    const round = await store.get(roundKey(roundId));
+    if (!round || round.status !== 'completed' || round.wallet !== wallet) {
+      await store.delete(spentKey(roundId));
+      spent.pop();
+      await unspendRounds(spent, store);
+      throw new RoundError(round?.status === 'claimed' ? 'Round already claimed' : 'Round cannot be claimed', 409, { roundId });
+    }
+  }
+
+  const claimedAt = Date.now();
+  const rounds = [];
+  for (const roundId of roundIds) {
+    const round = await store.get(roundKey(roundId));
+    await store.set(roundKey(roundId), { ...round, status: 'claimed', claimedAt }, roundTtlSeconds(round));
+    rounds.push(round);
+  }
+  return rounds;
+}
+
+async function unspendRounds(roundIds, store) {
+  for (const roundId of roundIds) {
+    const round = await store.get(roundKey(roundId));
+    if (round && round.status === 'claimed') {
+      const { claimedAt, ...completed } = round;
+      await store.set(roundKey(roundId), { ...completed, status: 'completed' }, roundTtlSeconds(completed));
+    }
+    await store.delete(spentKey(roundId));
+  }
+}
+
+/**
+ * Allocate a nonce and sign a claim for the total of some rounds
+ */
+async function signRoundsClaim(wallet, rounds, store) {
+  const total = rounds.reduce((sum, entry) => sum + entry.stars, 0);
+
+  let nonce;
+  try {
+    // Unique across instances, recorded so the indexer can mark it consumed
+    nonce = await allocateNonce(wallet, total, store);
+    const signatureData = await generateStarClaimSignature(wallet, total, nonce);
+    await recordSignedClaim(nonce, {
+      deadline: signatureData.deadline,
+      rounds: rounds.map(({ roundId, stars }) => ({ roundId, stars }))
+    }, store);
+
+    return {
+      ...signatureData,
+      rounds: rounds.map(entry => entry.roundId)
+    };
+  } catch (error) {
+    if (nonce !== undefined) {
+      await voidNonce(nonce, store);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Stars the ledger holds for a wallet's unclaimed rounds
+ */
+export async function getClaimableStars(walletAddress, store = getStateStore()) {
+  const wallet = normalizeWallet(walletAddress);
+  const ledger = await getLedger(store, wallet);
+  return ledger.pending.reduce((sum, entry) => sum + entry.stars, 0);
+}
+
+/**
+ * Sign a star claim for the wallet's recorded rounds and mark them claimed
+ * @param {string} walletAddress - Player wallet
+ * @param {number} [expectedStars] - Total the client shows; must match the ledger
+ * @returns {Object} { signature, nonce, deadline, amount, rounds }
+ */
+export async function claimRoundStars(walletAddress, expectedStars, store = getStateStore()) {
+  const wallet = normalizeWallet(walletAddress);
+  const ledger = await getLedger(store, wallet);
+  const total = ledger.pending.reduce((sum, entry) => sum + entry.stars, 0);
+
+  if (total <= 0) {
+    throw new RoundError('No recorded rounds to claim', 409, { serverStars: 0 });
+  }
+  if (expectedStars !== undefined && Number(expectedStars) !== total) {
+    throw new RoundError('Star total does not match server record', 409, { serverStars: total });
+  }
+
+  // Clear the pending rounds before signing so a second request can't reuse them
+  const claimed = ledger.pending;
+  await store.set(ledgerKey(wallet), { pending: [], lastClaimAt: Date.now() });
+
+  const roundIds = claimed.map(entry => entry.roundId);
+  let rounds;
+  try {
+    rounds = await spendRounds(roundIds, wallet, store);
+  } catch (error) {
+    // A round claimed with its receipt meanwhile: drop it so the rest stay claimable
+    await restorePending(store, wallet, claimed.filter(entry => entry.roundId !== error.details?.roundId));
+    throw error;
+  }
+
+  try {
+    return await signRoundsClaim(wallet, rounds, store);
+  } catch (error) {
+    // Put the rounds back so the player can retry
+    await unspendRounds(roundIds, store);
+    await restorePending(store, wallet, claimed);
+    throw error;
+  }
+}
+
+/**
+ * Sign a star claim for a bundle of round receipts and spend them
+ * @param {string} walletAddress - Player wallet (from the session)
+ * @param {Array<string>} receipts - Receipt tokens from submitRoundResult
+ * @returns {Object} { signature, nonce, deadline, amount, rounds }
+ */
+export async function claimReceiptStars(walletAddress, receipts, store = getStateStore()) {
+  const wallet = normalizeWallet(walletAddress);
+
+  if (!Array.isArray(receipts) || receipts.length === 0) {
+    throw new RoundError('No receipts to claim');
+  }
+  if (receipts.length > MAX_CLAIM_ROUNDS) {
+    throw new RoundError(`At most ${MAX_CLAIM_ROUNDS} receipts per claim`);
+  }
+
+  const roundIds = [];
+  for (const token of receipts) {
+    const receipt = readSignedData(token, RECEIPT_PURPOSE);
+    if (!receipt || !receipt.roundId || !Number.isInteger(receipt.expiresAt)) {
+      throw new RoundError('Invalid round receipt');
+    }
+    if (receipt.wallet !== wallet) {
+      throw new RoundError('Receipt was issued to a different wallet', 403);
+    }
+    if (Date.now() > receipt.expiresAt) {
+      throw new RoundError('Round receipt expired', 410, { roundId: receipt.roundId });
+    }
+    if (roundIds.includes(receipt.roundId)) {
+      throw new RoundError('Duplicate round receipt');
+    }
+    roundIds.push(receipt.roundId);
+  }
+
+  // Stars come from the round records, the receipts only name them
+  const rounds = await spendRounds(roundIds, wallet, store);
+  if (rounds.reduce((sum, entry) => sum + entry.stars, 0) <= 0) {
+    await unspendRounds(roundIds, store);
+    throw new RoundError('Receipts hold no stars to claim', 409);
+  }
+
+  // These rounds are no longer pending in the ledger either
+  const ledger = await getLedger(store, wallet);
+  await store.set(ledgerKey(wallet), {
+    ...ledger,
+    pending: ledger.pending.filter(entry => !roundIds.includes(entry.roundId))
+  });
+
+  try {
+    return await signRoundsClaim(wallet, rounds, store);
+  } catch (error) {
+    // Unspend so the player can retry with the same receipts
+    await unspendRounds(roundIds, store);
+    await restorePending(store, wallet, ledger.pending.filter(entry => roundIds.includes(entry.roundId)));
+    throw error;
+  }
+}
+
+/**
+ * Sign the rounds of an expired, unused claim again with a new nonce
+ * @param {string} walletAddress - Player wallet (from the session)
+ * @param {number} nonce - Nonce of the claim signed before
+ * @returns {Object} { signature, nonce, deadline, amount, rounds }
+ * @throws {RoundError} 409 with claimed: true if the old claim went through
+ */
+export async function renewRoundsClaim(walletAddress, nonce, {
+  store = getStateStore(),
+  starsContract = getStarsContract()
+} = {}) {
+  const wallet = normalizeWallet(walletAddress);
+  const record = Number.isSafeInteger(nonce) ? await getNonce(nonce, store) : null;
+  if (!record || record.wallet !== wallet || !Array.isArray(record.rounds)) {
+    throw new RoundError('Unknown claim', 404);
+  }
+  if (record.status === 'consumed') {
+    throw new RoundError('Claim already went through', 409, { claimed: true });
+  }
+  if (record.status !== 'issued') {
+    throw new RoundError('Claim can no longer be renewed', 409);
+  }
+  if (Math.floor(Date.now() / 1000) <= record.deadline + RENEW_GRACE_S) {
+    throw new RoundError('Claim signature has not expired yet', 409, { deadline: record.deadline });
+  }
+
+  // The indexer may not have caught up: ask the contract itself
+  if (await starsContract.usedNonces(wallet, nonce)) {
+    throw new RoundError('Claim already went through', 409, { claimed: true });
+  }
+
+  if (!(await markNonceRenewed(nonce, store))) {
+    throw new RoundError('Claim already renewed', 409);
+  }
+
+  try {
+    return await signRoundsClaim(wallet, record.rounds, store);
+  } catch (error) {
+    await unmarkNonceRenewed(nonce, store);
+    throw error;
+  }
+}
@@ -0,0 +1,150 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+
+// ========================================
+// SIGNER BACKENDS
+// ========================================
+// Where the game signer key lives. Every backend returns an ethers Signer
+// (getAddress, signMessage, signTypedData, signTransaction, connect), so
+// claim signing and the cron's transactions don't care which one is used:
+//   key      -> raw private key in the environment
+//   keystore -> encrypted JSON keystore file + password
+//   remote   -> HTTP signing service holding the key (see scripts/signer-service.js)
+//
+// Env vars are read under a prefix, so a second signer can be configured
+// alongside the first while rotating (GAME_SIGNER_* and GAME_SIGNER_NEXT_*):
+//   <PREFIX>_BACKEND           key | keystore | remote (default: inferred from the vars below)
+//   <PREFIX>_PRIVATE_KEY       key backend
+//   <PREFIX>_KEYSTORE          keystore file path
+//   <PREFIX>_KEYSTORE_PASSWORD keystore password
+//   <PREFIX>_URL               remote service base URL
+//   <PREFIX>_TOKEN             remote service bearer token
+
+// BigInts (typed data values, tx fields) as strings for JSON bodies
+const jsonReplacer = (key, value) => (typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Signer holding a raw private key
+ */
+export function createKeySigner(privateKey) {
+  return new ethers.Wallet(privateKey);
+}
+
+/**
+ * Signer decrypted from an encrypted JSON keystore (geth / ethers format)
+ */
+export async function createKeystoreSigner(file, password) {
+  const json = fs.readFileSync(file, 'utf8');
+  const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+  // fromEncryptedJson may return an HDNodeWallet; keep a plain Wallet
+  return new ethers.Wallet(wallet.privateKey);
+}
+
+/**
+ * Signer backed by an HTTP signing service. The service never hands out the
+ * key; every signature it returns is checked against its address here.
+ *
+ * Protocol (JSON, optional `Authorization: Bearer <token>`):
+ *   GET  /address                                -> { address }
+ *   POST /sign-message     { message: hex }      -> { signature }   (EIP-191 personal_sign of the bytes)
+ *   POST /sign-typed-data  { domain, types, value } -> { signature } (EIP-712)
+ *   POST /sign-transaction { transaction: hex }  -> { signedTransaction } (unsigned serialized tx)
+ */
+export class RemoteSigner extends ethers.AbstractSigner {
+  constructor(url, token, provider = null) {
+    super(provider);
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this._address = null;
+  }
+
+  connect(provider) {
+    const signer = new RemoteSigner(this.url, this.token, provider);
+    signer._address = this._address;
+    return signer;
+  }
+
+  async _request(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    const response = await fetch(`${this.url}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers,
+      body: body ? JSON.stringify(body, jsonReplacer) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Signing service ${path} failed (${response.status}): ${data.error || response.statusText}`);
+    }
+    return data;
+  }
+
+  async getAddress() {
+    if (!this._address) {
+      const { address } = await this._request('/address');
+      this._address = ethers.getAddress(address);
+    }
+    return this._address;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+    const { signature } = await this._request('/sign-message', { message: ethers.hexlify(bytes) });
+    if (ethers.verifyMessage(bytes, signature) !== await this.getAddress()) {
+      throw new Error('Signing service returned a signature from another key');
+    }
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const { signature } = await this._request('/sign-typed-data', { domain, types, value });
+    if (ethers.verifyTypedData(domain, types, value, signature) !== await this.getAddress()) {
+      throw new Error('Signing service returned a signature from another key');
+    }
+    return signature;
+  }
+
+  async signTransaction(transaction) {
+    const unsigned = ethers.Transaction.from({ ...transaction, from: undefined });
+    const { signedTransaction } = await this._request('/sign-transaction', { transaction: unsigned.unsignedSerialized });
+    if (ethers.Transaction.from(signedTransaction).from !== await this.getAddress()) {
+      throw new Error('Signing service returned a transaction signed by another key');
+    }
+    return signedTransaction;
+  }
+}
+
+/**
+ * Signer backed by an HTTP signing service
+ */
+export function createRemoteSigner(url, token) {
+  return new RemoteSigner(url, token);
+}
+
+/**
+ * Signer configured under an env prefix, or null if none is
+ * @param {Object} env - Usually process.env
+ * @param {string} prefix - e.g. 'GAME_SIGNER'
+ */
+export async function createSignerFromEnv(env, prefix) {
+  const value = (name) => env[`${prefix}_${name}`];
+  const backend = value('BACKEND') ||
+    (value('URL') ? 'remote' : value('KEYSTORE') ? 'keystore' : value('PRIVATE_KEY') ? 'key' : null);
+
+  switch (backend) {
+    case null:
+      return null;
+    case 'key':
+      if (!value('PRIVATE_KEY')) throw new Error(`${prefix}_PRIVATE_KEY not set in environment variables`);
+      return createKeySigner(value('PRIVATE_KEY'));
+    case 'keystore':
+      if (!value('KEYSTORE')) throw new Error(`${prefix}_KEYSTORE not set in environment variables`);
+      return createKeystoreSigner(value('KEYSTORE'), value('KEYSTORE_PASSWORD') || '');
+    case 'remote':
+      if (!value('URL')) throw new Error(`${prefix}_URL not set in environment variables`);
+      return createRemoteSigner(value('URL'), value('TOKEN'));
+    default:
+      throw new Error(`Unknown ${prefix}_BACKEND "${backend}" (expected key, keystore or remote)`);
+  }
+}
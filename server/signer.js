@@ -1,12 +1,165 @@
 import { ethers } from 'ethers';
+import { getStarsContract } from './chain.js';
+import { getConfig } from './config.js';
+import { createSignerFromEnv } from './signer-backends.js';
+import { STAR_CLAIM_TYPES, starClaimDomain } from '../src/contracts/star-claim.js';
 
-// Server-side only - accesses private key from environment
-const GAME_SIGNER_PRIVATE_KEY = process.env.GAME_SIGNER_PRIVATE_KEY;
-const STARS_CONTRACT_ADDRESS = process.env.STARS_CONTRACT_ADDRESS || process.env.VITE_STARS_CONTRACT_ADDRESS;
-const CHAIN_ID = Number(process.env.CHAIN_ID || process.env.VITE_CHAIN_ID);
+// ========================================
+// GAME SIGNER
+// ========================================
+// Server-side only. The key comes from one of the backends in
+// server/signer-backends.js (GAME_SIGNER_*). Claims are only signed when the
+// signer matches the contract's gameSigner - a mismatch would hand out
+// signatures claimStars rejects.
+//
+// Rotation: configure the new signer as GAME_SIGNER_NEXT_* next to the old
+// one, then have the owner call setGameSigner(new). Whichever configured
+// signer the contract points at is used, so claims keep working across the
+// switch. After GAME_SIGNER_ROTATION_ENDS_AT the old signer is dropped;
+// promote the NEXT vars to GAME_SIGNER_* by then.
+//
+// CLAIM_SIGNATURE_SCHEME picks what a claim signature covers:
+//   packed (default) -> personal_sign over the packed hash the deployed contract checks
+//   eip712           -> EIP-712 StarClaim (src/contracts/star-claim.js), for an upgraded contract
 
-if (!GAME_SIGNER_PRIVATE_KEY) {
-  throw new Error('GAME_SIGNER_PRIVATE_KEY not set in environment variables');
+const CLAIM_SIGNATURE_SCHEMES = ['packed', 'eip712'];
+
+const GAME_SIGNER_ABI = [
+  'function gameSigner() view returns (address)'
+];
+
+// How long a gameSigner check is trusted before reading the contract again.
+// While rotating, every signature re-reads it so the switch takes effect at once.
+const CHECK_TTL_MS = 60 * 1000;
+
+/**
+ * The server can't sign: no signer configured, or none matches the contract
+ */
+export class SignerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignerError';
+    this.status = 503;
+  }
+}
+
+let signersPromise;
+let lastCheck = null;
+
+function rotationEndsAt(env) {
+  const value = env.GAME_SIGNER_ROTATION_ENDS_AT;
+  if (!value) return null;
+  const time = /^\d+$/.test(value) ? Number(value) * 1000 : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid GAME_SIGNER_ROTATION_ENDS_AT "${value}"`);
+  }
+  return time;
+}
+
+/**
+ * Configured signers, the current one first, each with its address
+ * @returns {Array} [{ role: 'current'|'next', signer, address }]
+ */
+async function loadSigners(env = process.env) {
+  const loaded = [];
+  for (const [role, prefix] of [['current', 'GAME_SIGNER'], ['next', 'GAME_SIGNER_NEXT']]) {
+    const signer = await createSignerFromEnv(env, prefix);
+    if (signer) {
+      loaded.push({ role, signer, address: await signer.getAddress() });
+    }
+  }
+  return loaded;
+}
+
+function getSigners() {
+  if (!signersPromise) {
+    signersPromise = loadSigners().catch((error) => {
+      // Let a later call retry (e.g. the signing service was down)
+      signersPromise = null;
+      throw error;
+    });
+  }
+  return signersPromise;
+}
+
+/**
+ * Signers that may still be used: the old one only until the rotation window ends
+ */
+function usableSigners(signers, env = process.env) {
+  const endsAt = rotationEndsAt(env);
+  const hasNext = signers.some(entry => entry.role === 'next');
+  if (hasNext && endsAt && Date.now() > endsAt) {
+    return signers.filter(entry => entry.role === 'next');
+  }
+  return signers;
+}
+
+/**
+ * Compare the configured signers with the contract's gameSigner
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Read the contract even if the last check is fresh
+ * @returns {Object} { ok, onChainSigner, activeAddress, activeRole, configured, rotationEndsAt, checkedAt }
+ */
+export async function checkGameSigner({ force = false } = {}) {
+  const signers = await getSigners();
+  const rotating = signers.length > 1;
+  if (!force && !rotating && lastCheck && Date.now() - lastCheck.checkedAt < CHECK_TTL_MS) {
+    return lastCheck;
+  }
+
+  if (signers.length === 0) {
+    throw new SignerError('No game signer configured (set GAME_SIGNER_PRIVATE_KEY, GAME_SIGNER_KEYSTORE or GAME_SIGNER_URL)');
+  }
+
+  const onChainSigner = ethers.getAddress(await getStarsContract(GAME_SIGNER_ABI).gameSigner());
+  const active = usableSigners(signers).find(entry => entry.address === onChainSigner) || null;
+
+  lastCheck = {
+    ok: !!active,
+    onChainSigner,
+    activeAddress: active ? active.address : null,
+    activeRole: active ? active.role : null,
+    configured: signers.map(({ role, address }) => ({ role, address })),
+    rotationEndsAt: rotationEndsAt(process.env),
+    checkedAt: Date.now()
+  };
+  return lastCheck;
+}
+
+/**
+ * The configured signer the contract currently accepts
+ * @throws {SignerError} If none matches the contract's gameSigner
+ */
+export async function getGameSigner() {
+  let check;
+  try {
+    check = await checkGameSigner();
+    // The contract may have just switched to the other configured signer
+    if (!check.ok) check = await checkGameSigner({ force: true });
+  } catch (error) {
+    if (error instanceof SignerError) throw error;
+    // RPC trouble: keep using the last verified signer rather than stop claims
+    if (!lastCheck || !lastCheck.ok) {
+      throw new SignerError(`Could not verify game signer: ${error.shortMessage || error.message}`);
+    }
+    console.warn('⚠️ Could not re-check game signer, using last verified:', error.message);
+    check = lastCheck;
+  }
+
+  if (!check.ok) {
+    throw new SignerError(`Configured game signer (${check.configured.map(entry => entry.address).join(', ')}) does not match contract gameSigner ${check.onChainSigner}`);
+  }
+
+  const signers = await getSigners();
+  return signers.find(entry => entry.address === check.activeAddress).signer;
+}
+
+function claimSignatureScheme(env = process.env) {
+  const scheme = env.CLAIM_SIGNATURE_SCHEME || 'packed';
+  if (!CLAIM_SIGNATURE_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown CLAIM_SIGNATURE_SCHEME "${scheme}" (expected ${CLAIM_SIGNATURE_SCHEMES.join(' or ')})`);
+  }
+  return scheme;
 }
 
 /**
@@ -14,36 +167,69 @@ if (!GAME_SIGNER_PRIVATE_KEY) {
  * @param {string} userAddress - The user's wallet address
  * @param {number} amount - Number of stars to claim
  * @param {number} nonce - Unique nonce to prevent replay
- * @returns {Object} { signature, nonce, deadline }
+ * @returns {Object} { signature, nonce, deadline, amount, scheme }
  */
 export async function generateStarClaimSignature(userAddress, amount, nonce) {
-  const wallet = new ethers.Wallet(GAME_SIGNER_PRIVATE_KEY);
-  
+  const scheme = claimSignatureScheme();
+  const signer = await getGameSigner();
+  const { chainId, contracts } = getConfig();
+
   // Deadline: 1 hour from now
   const deadline = Math.floor(Date.now() / 1000) + 3600;
-  
-  // Match contract's hash format exactly
-  // keccak256(abi.encodePacked(msg.sender, _amount, _nonce, _deadline, block.chainid, address(this)))
-  const messageHash = ethers.solidityPackedKeccak256(
-    ['address', 'uint256', 'uint256', 'uint256', 'uint256', 'address'],
-    [userAddress, amount, nonce, deadline, CHAIN_ID, STARS_CONTRACT_ADDRESS]
-  );
-  
-  // Sign with Ethereum prefix (contract uses toEthSignedMessageHash and recover)
-  const signature = await wallet.signMessage(ethers.getBytes(messageHash));
-  
+
+  let signature;
+  if (scheme === 'eip712') {
+    signature = await signer.signTypedData(
+      starClaimDomain(chainId, contracts.stars),
+      STAR_CLAIM_TYPES,
+      { user: userAddress, amount, nonce, deadline }
+    );
+  } else {
+    // Match contract's hash format exactly
+    // keccak256(abi.encodePacked(msg.sender, _amount, _nonce, _deadline, block.chainid, address(this)))
+    const messageHash = ethers.solidityPackedKeccak256(
+      ['address', 'uint256', 'uint256', 'uint256', 'uint256', 'address'],
+      [userAddress, amount, nonce, deadline, chainId, contracts.stars]
+    );
+
+    // Sign with Ethereum prefix (contract uses toEthSignedMessageHash and recover)
+    signature = await signer.signMessage(ethers.getBytes(messageHash));
+  }
+
   return {
     signature,
     nonce,
     deadline,
-    amount
+    amount,
+    scheme
   };
 }
 
+/**
+ * Recover the address that signed an EIP-712 StarClaim - what an upgraded
+ * contract's ECDSA.recover(_hashTypedDataV4(...)) would return
+ * @param {Object} claim - { user, amount, nonce, deadline }
+ * @param {string} signature - 65-byte signature
+ * @param {Object} [deployment] - { chainId, verifyingContract }, defaults to this server's
+ * @returns {string} Checksummed signer address
+ */
+export function recoverStarClaimSigner(claim, signature, {
+  chainId = getConfig().chainId,
+  verifyingContract = getConfig().contracts.stars
+} = {}) {
+  const { user, amount, nonce, deadline } = claim;
+  return ethers.verifyTypedData(
+    starClaimDomain(chainId, verifyingContract),
+    STAR_CLAIM_TYPES,
+    { user, amount, nonce, deadline },
+    signature
+  );
+}
+
 /**
  * Get the game signer address (public, safe to expose)
  */
-export function getGameSignerAddress() {
-  const wallet = new ethers.Wallet(GAME_SIGNER_PRIVATE_KEY);
-  return wallet.address;
+export async function getGameSignerAddress() {
+  const signer = await getGameSigner();
+  return signer.getAddress();
 }
@@ -0,0 +1,195 @@
+import { getProvider, getStarsContract } from './chain.js';
+import { getConfig } from './config.js';
+import { ConfigError } from '../config/index.js';
+import { STARS_ADMIN_ABI, getOnChainRoot } from './epochs.js';
+import { checkGameSigner } from './signer.js';
+import { getRewardStore } from './reward-store.js';
+
+// ========================================
+// DEPLOYMENT STATUS
+// ========================================
+// What /api/status reports: configuration, RPC, game signer, epoch and
+// published rewards. Each section is checked on its own so one failure
+// doesn't hide the rest. Only public values are included - never keys,
+// tokens, secrets or the RPC URL (it often embeds an API key).
+//
+// A full check costs a dozen RPC reads, so the public endpoint answers from
+// getCachedStatus: one check per STATUS_TTL_MS per instance, and concurrent
+// requests share the check in flight.
+
+const STATUS_ABI = [
+  ...STARS_ADMIN_ABI,
+  'function cooldownHours() view returns (uint256)',
+  'function paused() view returns (bool)'
+];
+
+// Stored epochs searched (newest first) for one with its root set
+const PUBLISHED_LOOKBACK = 5;
+
+// Give up on a slow RPC rather than hang the request
+const CHECK_TIMEOUT_MS = 5000;
+
+// How long a collected status is served before checking again
+export const STATUS_TTL_MS = 30 * 1000;
+
+let cachedStatus = null; // { status, collectedAt }
+let statusInFlight = null;
+
+function withTimeout(promise, what) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Error text safe to show: URLs (may carry API keys) and 32-byte hex
+ * strings (may be private keys) are removed
+ */
+function safeError(error) {
+  return String(error.shortMessage || error.message || error)
+    .replace(/\b[a-z]+:\/\/[^\s"')]+/gi, '[url]')
+    .replace(/\b(0x)?[0-9a-fA-F]{64}\b/g, '[redacted]');
+}
+
+async function check(what, fn) {
+  try {
+    return { ok: true, ...await withTimeout(fn(), what) };
+  } catch (error) {
+    return { ok: false, error: safeError(error) };
+  }
+}
+
+/**
+ * Collect the deployment status
+ * @returns {Object} { ok, config, rpc, signer, epoch, rewards, checkedAt } - only
+ *   { ok, config, checkedAt } when the config itself is invalid
+ */
+export async function getStatus(env = process.env) {
+  let appConfig;
+  try {
+    appConfig = getConfig();
+  } catch (error) {
+    // Nothing else can be checked without a valid network config
+    return {
+      ok: false,
+      config: { ok: false, errors: error instanceof ConfigError ? error.errors : [safeError(error)] },
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  const config = {
+    ok: true,
+    network: appConfig.network,
+    chainId: appConfig.chainId,
+    starsContract: appConfig.contracts.stars,
+    chopsContract: appConfig.contracts.chops,
+    deployBlock: appConfig.deployBlock,
+    explorerUrl: appConfig.explorerUrl,
+    rewardStore: getRewardStore().kind,
+    stateStore: env.KV_REST_API_URL ? 'rest' : env.STATE_DIR ? 'file' : 'memory',
+    claimSignatureScheme: env.CLAIM_SIGNATURE_SCHEME || 'packed',
+    warnings: appConfig.warnings
+  };
+
+  const rpc = await check('RPC', async () => {
+    const started = Date.now();
+    const provider = getProvider();
+    const [network, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+    return {
+      chainId: Number(network.chainId),
+      chainIdMatches: Number(network.chainId) === config.chainId,
+      blockNumber,
+      latencyMs: Date.now() - started
+    };
+  });
+
+  const signer = await check('Game signer check', async () => {
+    const result = await checkGameSigner({ force: true });
+    return {
+      address: result.activeAddress || result.configured[0]?.address || null,
+      onChainSigner: result.onChainSigner,
+      matches: result.ok,
+      activeRole: result.activeRole,
+      configured: result.configured,
+      rotationEndsAt: result.rotationEndsAt
+    };
+  });
+  if (signer.ok && !signer.matches) signer.ok = false;
+
+  const starsContract = getStarsContract(STATUS_ABI);
+
+  const epoch = await check('Epoch read', async () => {
+    const [currentEpoch, secondsUntilNextEpoch, epochDuration, cooldownHours, paused] = await Promise.all([
+      starsContract.currentEpoch(),
+      starsContract.timeUntilNextEpoch(),
+      starsContract.epochDuration(),
+      starsContract.cooldownHours(),
+      starsContract.paused()
+    ]);
+    return {
+      currentEpoch: Number(currentEpoch),
+      secondsUntilNextEpoch: Number(secondsUntilNextEpoch),
+      epochDuration: Number(epochDuration),
+      cooldownHours: Number(cooldownHours),
+      paused
+    };
+  });
+
+  // Latest epoch whose stored file also has its root set on-chain
+  const rewards = await check('Rewards lookup', async () => {
+    const store = getRewardStore();
+    const epochs = await store.list();
+    const latestFileEpoch = epochs.length > 0 ? epochs[epochs.length - 1] : null;
+
+    for (const epochNumber of epochs.slice(-PUBLISHED_LOOKBACK).reverse()) {
+      const onChainRoot = await getOnChainRoot(starsContract, epochNumber);
+      if (!onChainRoot) continue;
+
+      const file = await store.get(epochNumber);
+      return {
+        latestFileEpoch,
+        latestPublishedEpoch: epochNumber,
+        totalPlayers: file.totalPlayers,
+        merkleRoot: file.merkleRoot,
+        onChainRoot,
+        rootsMatch: onChainRoot.toLowerCase() === file.merkleRoot.toLowerCase()
+      };
+    }
+
+    return { latestFileEpoch, latestPublishedEpoch: null, merkleRoot: null, onChainRoot: null, rootsMatch: null };
+  });
+
+  return {
+    // Claims fail on a wrong chain, a signer mismatch or a paused contract
+    ok: rpc.ok && rpc.chainIdMatches && signer.ok && epoch.ok && rewards.ok && !epoch.paused,
+    config,
+    rpc,
+    signer,
+    epoch,
+    rewards,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * getStatus, reused for STATUS_TTL_MS
+ * @returns {Object} Same as getStatus; checkedAt tells how old it is
+ */
+export async function getCachedStatus() {
+  if (cachedStatus && Date.now() - cachedStatus.collectedAt < STATUS_TTL_MS) {
+    return cachedStatus.status;
+  }
+  if (!statusInFlight) {
+    statusInFlight = getStatus()
+      .then(status => {
+        cachedStatus = { status, collectedAt: Date.now() };
+        return status;
+      })
+      .finally(() => {
+        statusInFlight = null;
+      });
+  }
+  return statusInFlight;
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useAccount, useWriteContract, useWaitForTransactionReceipt, useReadContract } from 'wagmi';
+import { useAccount, useWriteContract, usePublicClient, useReadContract, useReadContracts } from 'wagmi';
 import { ethers } from 'ethers';
 import { STARS_CONTRACT_ADDRESS, STARS_ABI, CHOPS_CONTRACT_ADDRESS, CHOPS_ABI, RPC_URL } from '../contracts/config';
 
@@ -9,40 +9,41 @@ console.log('Config debug:', {
   CHOPS_ABI
 });
 
+function claimButtonStyle(isDisabled, overrides = {}) {
+  return {
+    padding: '10px',
+    background: isDisabled ? '#666' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    color: 'white',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: isDisabled ? 'not-allowed' : 'pointer',
+    fontFamily: 'inherit',
+    fontSize: '14px',
+    fontWeight: 'bold',
+    transition: 'all 0.2s',
+    ...overrides
+  };
+}
+
 export function ClaimChopsButton() {
   const { address, isConnected } = useAccount();
-  const [loading, setLoading] = useState(false);
-  const [rewardData, setRewardData] = useState(null);
+  const publicClient = usePublicClient();
+  const [rewards, setRewards] = useState([]);
+  const [claimingEpoch, setClaimingEpoch] = useState(null);
   const [error, setError] = useState(null);
-  const [success, setSuccess] = useState(false);
+  const [success, setSuccess] = useState(null);
   const [manualChopsBalance, setManualChopsBalance] = useState('0.00');
   const [manualChopsDecimals, setManualChopsDecimals] = useState(18);
 
-  // Query current epoch
-  const { data: currentEpochData } = useReadContract({
-    address: STARS_CONTRACT_ADDRESS,
-    abi: STARS_ABI,
-    functionName: 'currentEpoch',
-    enabled: !!address && isConnected,
-  });
-
-  // Query if user has claimed for previous epoch
-  const previousEpoch = currentEpochData ? Number(currentEpochData) - 1 : 0;
-  const { data: hasClaimedData, refetch: refetchHasClaimed } = useReadContract({
-    address: STARS_CONTRACT_ADDRESS,
-    abi: STARS_ABI,
-    functionName: 'hasClaimedChops',
-    args: [previousEpoch, address],
-    enabled: !!address && isConnected && previousEpoch > 0,
-  });
-
-  // Query Merkle root for previous epoch
-  const { data: merkleRootData } = useReadContract({
-    address: STARS_CONTRACT_ADDRESS,
-    abi: STARS_ABI,
-    functionName: 'epochMerkleRoots',
-    args: [previousEpoch],
-    enabled: !!address && isConnected && previousEpoch > 0,
+  // Claimed status for every epoch we have a reward for
+  const { data: claimedData, refetch: refetchClaimed } = useReadContracts({
+    contracts: rewards.map(reward => ({
+      address: STARS_CONTRACT_ADDRESS,
+      abi: STARS_ABI,
+      functionName: 'hasClaimedChops',
+      args: [BigInt(reward.epoch), address],
+    })),
+    query: { enabled: !!address && isConnected && rewards.length > 0 },
   });
 
   // Query Chops decimals
@@ -62,8 +63,7 @@ export function ClaimChopsButton() {
     enabled: !!address && isConnected && !!CHOPS_CONTRACT_ADDRESS,
   });
 
-  const { writeContract, data: hash, isPending: isWritePending, error: writeError } = useWriteContract();
-  const { isLoading: isTxPending, isSuccess: isTxSuccess } = useWaitForTransactionReceipt({ hash });
+  const { writeContractAsync } = useWriteContract();
 
   // Manual balance query using ethers (fallback for wagmi issues)
   useEffect(() => {
@@ -94,115 +94,94 @@ export function ClaimChopsButton() {
     fetchManualBalance();
   }, [address, isConnected, CHOPS_CONTRACT_ADDRESS, RPC_URL]);
 
-  // Fetch reward data from API
+  // Fetch every epoch reward for this address from the API
   useEffect(() => {
-    if (!isConnected || !address || previousEpoch <= 0) return;
+    if (!isConnected || !address) return;
 
-    async function fetchRewardData() {
+    async function fetchRewards() {
       try {
-        const response = await fetch(`/api/get-chops-reward?address=${address}&epoch=${previousEpoch}`);
+        const response = await fetch(`/api/get-chops-rewards?address=${address}`);
         if (response.ok) {
           const data = await response.json();
-          setRewardData(data);
+          setRewards(data.rewards);
         } else {
-          setRewardData(null);
+          setRewards([]);
         }
       } catch (err) {
-        console.error('Failed to fetch reward data:', err);
-        setRewardData(null);
+        console.error('Failed to fetch rewards:', err);
+        setRewards([]);
       }
     }
 
-    fetchRewardData();
-  }, [address, isConnected, previousEpoch]);
+    fetchRewards();
+  }, [address, isConnected]);
 
-  // Handle transaction success
-  useEffect(() => {
-    if (isTxSuccess && hash) {
-      setSuccess(true);
-      setLoading(false);
-      refetchHasClaimed();
-      refetchBalance();
-      
-      // Also refresh manual balance
-      if (isConnected && address && CHOPS_CONTRACT_ADDRESS) {
-        const provider = new ethers.JsonRpcProvider(RPC_URL);
-        const chopsContract = new ethers.Contract(CHOPS_CONTRACT_ADDRESS, CHOPS_ABI, provider);
-        chopsContract.balanceOf(address).then(balance => {
-          const balanceNum = Number(balance) / (10 ** manualChopsDecimals);
-          setManualChopsBalance(balanceNum.toFixed(2));
-        }).catch(err => console.error('Refresh balance failed:', err));
-      }
+  function refreshManualBalance() {
+    if (!isConnected || !address || !CHOPS_CONTRACT_ADDRESS) return;
 
-      setTimeout(() => {
-        setSuccess(false);
-      }, 5000);
-    }
-  }, [isTxSuccess, hash, refetchHasClaimed, refetchBalance, isConnected, address, CHOPS_CONTRACT_ADDRESS, RPC_URL, manualChopsDecimals]);
+    const provider = new ethers.JsonRpcProvider(RPC_URL);
+    const chopsContract = new ethers.Contract(CHOPS_CONTRACT_ADDRESS, CHOPS_ABI, provider);
+    chopsContract.balanceOf(address).then(balance => {
+      const balanceNum = Number(balance) / (10 ** manualChopsDecimals);
+      setManualChopsBalance(balanceNum.toFixed(2));
+    }).catch(err => console.error('Refresh balance failed:', err));
+  }
 
-  async function handleClaim() {
-    if (!rewardData) {
-      setError('No reward data available');
-      return;
+  /**
+   * Send claimChops for one epoch and wait for it to be mined
+   */
+  async function claimEpoch(reward) {
+    setClaimingEpoch(reward.epoch);
+
+    console.log('🪙 Claiming Chops reward:', {
+      epoch: reward.epoch,
+      amount: reward.rewardAmount,
+      merkleRoot: reward.merkleRoot,
+      proof: reward.proof
+    });
+
+    const hash = await writeContractAsync({
+      address: STARS_CONTRACT_ADDRESS,
+      abi: STARS_ABI,
+      functionName: 'claimChops',
+      args: [BigInt(reward.epoch), BigInt(reward.rewardAmount), reward.proof],
+    });
+
+    const receipt = await publicClient.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') {
+      throw new Error(`Claim for epoch ${reward.epoch} reverted`);
     }
 
-    setLoading(true);
+    console.log(`✅ Claimed epoch ${reward.epoch}: ${hash}`);
+  }
+
+  /**
+   * Claim the given rewards one after another, stopping at the first failure
+   */
+  async function handleClaim(toClaim) {
     setError(null);
+    setSuccess(null);
 
+    const claimed = [];
     try {
-      console.log('🪙 Claiming Chops reward:', {
-        epoch: previousEpoch,
-        amount: rewardData.rewardAmount,
-        proof: rewardData.proof
-      });
-
-      const args = [BigInt(previousEpoch), BigInt(rewardData.rewardAmount), rewardData.proof];
-      console.log('📋 Contract call args:', {
-        epoch: args[0],
-        amount: args[1],
-        proof: args[2],
-        types: {
-          epoch: typeof args[0],
-          amount: typeof args[1],
-          proof: Array.isArray(args[2]) ? `Array(${args[2].length})` : typeof args[2]
-        }
-      });
-
-      // Compute expected leaf for verification
-      const expectedLeaf = ethers.solidityPackedKeccak256(
-        ["address", "uint256"],
-        [address, BigInt(rewardData.rewardAmount)]
-      );
-      console.log('🔍 Verification data:', {
-        userAddress: address,
-        rewardAmount: rewardData.rewardAmount,
-        expectedLeaf: expectedLeaf,
-        merkleRoot: merkleRootData,
-        proof: rewardData.proof
-      });
-
-      console.log('🔍 Exact args array for contract call:', args);
-
-      console.log('🚀 Initiating writeContract call...');
-      writeContract({
-        address: STARS_CONTRACT_ADDRESS,
-        abi: STARS_ABI,
-        functionName: 'claimChops',
-        args: args,
-      });
-
-      console.log('✅ writeContract called successfully');
+      for (const reward of toClaim) {
+        await claimEpoch(reward);
+        claimed.push(reward.epoch);
+      }
     } catch (err) {
       console.error('❌ Claim failed:', err);
-      console.error('❌ Error details:', {
-        message: err.message,
-        code: err.code,
-        data: err.data,
-        cause: err.cause,
-        stack: err.stack
-      });
-      setError(err.message || 'Failed to claim Chops');
-      setLoading(false);
+      setError(err.shortMessage || err.message || 'Failed to claim Chops');
+    } finally {
+      setClaimingEpoch(null);
+      if (claimed.length > 0) {
+        setSuccess(claimed.length === 1
+          ? `Epoch ${claimed[0]} claimed!`
+          : `Claimed ${claimed.length} epochs!`);
+        setTimeout(() => setSuccess(null), 5000);
+        refetchClaimed();
+        refetchBalance();
+        refreshManualBalance();
+      }
     }
   }
 
@@ -211,9 +190,13 @@ export function ClaimChopsButton() {
     return null;
   }
 
-  const isProcessing = loading || isWritePending || isTxPending;
-  const hasClaimed = hasClaimedData === true;
-  const hasReward = rewardData && rewardData.rewardAmount && rewardData.rewardAmount !== '0';
+  const isProcessing = claimingEpoch !== null;
+  const rows = rewards.map((reward, index) => ({
+    ...reward,
+    // undefined while the claimed status is still loading
+    claimed: claimedData?.[index]?.result
+  }));
+  const unclaimed = rows.filter(row => row.claimed === false && row.rewardAmount !== '0');
   const decimals = chopsDecimalsData || manualChopsDecimals;
   const chopsBalance = chopsBalanceData ? (Number(chopsBalanceData) / (10 ** decimals)).toFixed(2) : manualChopsBalance;
 
@@ -248,116 +231,106 @@ export function ClaimChopsButton() {
         🪙 Chops Balance: {chopsBalance}
       </div>
 
-      {previousEpoch > 0 && (
-        <div style={{ marginTop: '10px' }}>
-          <div style={{ 
-            fontSize: '12px', 
-            color: '#aaa', 
-            marginBottom: '8px' 
+      <div style={{ marginTop: '10px' }}>
+        <div style={{ 
+          fontSize: '12px', 
+          color: '#aaa', 
+          marginBottom: '8px' 
+        }}>
+          Epoch Rewards
+        </div>
+
+        {rows.length === 0 ? (
+          <div style={{
+            padding: '10px',
+            background: 'rgba(100, 100, 100, 0.2)',
+            borderRadius: '4px',
+            color: '#aaa',
+            fontSize: '12px',
+            textAlign: 'center'
           }}>
-            Epoch {previousEpoch} Rewards
+            No rewards available
           </div>
-
-          {hasClaimed ? (
-            <div style={{
-              padding: '10px',
-              background: 'rgba(0, 200, 100, 0.2)',
-              borderRadius: '4px',
-              color: '#0f0',
-              fontSize: '12px',
-              textAlign: 'center'
-            }}>
-              ✅ Already claimed
-            </div>
-          ) : hasReward ? (
-            <>
-              <div style={{
-                fontSize: '13px',
-                color: '#fff',
-                marginBottom: '8px',
-                padding: '8px',
-                background: 'rgba(255, 215, 0, 0.1)',
-                borderRadius: '4px',
-                textAlign: 'center'
-              }}>
-                💰 {(Number(rewardData.rewardAmount) / 1e18).toFixed(0)} CHOPS available!
-                <div style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
-                  Rank #{rewardData.rank} • Top {rewardData.percentile}%
-                </div>
-              </div>
-
-              <button
-                onClick={handleClaim}
-                disabled={isProcessing}
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {rows.map(row => (
+              <div
+                key={row.epoch}
                 style={{
-                  width: '100%',
-                  padding: '10px',
-                  background: isProcessing ? '#666' : 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '6px',
-                  cursor: isProcessing ? 'not-allowed' : 'pointer',
-                  fontFamily: 'inherit',
-                  fontSize: '14px',
-                  fontWeight: 'bold',
-                  transition: 'all 0.2s',
-                }}
-                onMouseEnter={(e) => {
-                  if (!isProcessing) {
-                    e.currentTarget.style.transform = 'translateY(-2px)';
-                    e.currentTarget.style.boxShadow = '0 4px 12px rgba(102, 126, 234, 0.4)';
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.transform = 'translateY(0)';
-                  e.currentTarget.style.boxShadow = 'none';
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '8px',
+                  padding: '8px',
+                  background: row.claimed ? 'rgba(0, 200, 100, 0.1)' : 'rgba(255, 215, 0, 0.1)',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                  color: '#fff'
                 }}
               >
-                {isProcessing ? '⏳ Claiming...' : '🪙 Claim Chops'}
-              </button>
-            </>
-          ) : (
-            <div style={{
-              padding: '10px',
-              background: 'rgba(100, 100, 100, 0.2)',
-              borderRadius: '4px',
-              color: '#aaa',
-              fontSize: '12px',
-              textAlign: 'center'
-            }}>
-              No rewards available
-            </div>
-          )}
-
-          {success && (
-            <div style={{
-              marginTop: '10px',
-              padding: '10px',
-              background: 'rgba(0, 200, 100, 0.2)',
-              borderRadius: '4px',
-              color: '#0f0',
-              fontSize: '12px',
-              textAlign: 'center'
-            }}>
-              ✅ Chops claimed successfully!
-            </div>
-          )}
-
-          {error && (
-            <div style={{
-              marginTop: '10px',
-              padding: '10px',
-              background: 'rgba(200, 0, 0, 0.2)',
-              borderRadius: '4px',
-              color: '#f00',
-              fontSize: '12px',
-              textAlign: 'center'
-            }}>
-              ❌ {error}
-            </div>
-          )}
-        </div>
-      )}
+                <div>
+                  <div>Epoch {row.epoch} • 💰 {Number(ethers.formatEther(row.rewardAmount)).toFixed(0)} CHOPS</div>
+                  <div style={{ fontSize: '11px', color: '#aaa', marginTop: '2px' }}>
+                    Rank #{row.rank} • Top {row.percentile}%
+                  </div>
+                </div>
+
+                {row.claimed === true ? (
+                  <span style={{ color: '#0f0' }}>✅ Claimed</span>
+                ) : row.claimed === false ? (
+                  <button
+                    onClick={() => handleClaim([row])}
+                    disabled={isProcessing}
+                    style={claimButtonStyle(isProcessing, { padding: '6px 10px', fontSize: '12px' })}
+                  >
+                    {claimingEpoch === row.epoch ? '⏳ Claiming...' : '🪙 Claim'}
+                  </button>
+                ) : (
+                  <span style={{ color: '#aaa' }}>…</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {unclaimed.length > 1 && (
+          <button
+            onClick={() => handleClaim([...unclaimed].sort((a, b) => a.epoch - b.epoch))}
+            disabled={isProcessing}
+            style={claimButtonStyle(isProcessing, { width: '100%', marginTop: '10px' })}
+          >
+            {isProcessing ? `⏳ Claiming epoch ${claimingEpoch}...` : `🪙 Claim All (${unclaimed.length})`}
+          </button>
+        )}
+
+        {success && (
+          <div style={{
+            marginTop: '10px',
+            padding: '10px',
+            background: 'rgba(0, 200, 100, 0.2)',
+            borderRadius: '4px',
+            color: '#0f0',
+            fontSize: '12px',
+            textAlign: 'center'
+          }}>
+            ✅ {success}
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            marginTop: '10px',
+            padding: '10px',
+            background: 'rgba(200, 0, 0, 0.2)',
+            borderRadius: '4px',
+            color: '#f00',
+            fontSize: '12px',
+            textAlign: 'center'
+          }}>
+            ❌ {error}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
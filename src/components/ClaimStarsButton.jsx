@@ -1,13 +1,14 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useAccount, useWriteContract, useWaitForTransactionReceipt, useReadContract } from 'wagmi';
-import { STARS_CONTRACT_ADDRESS, STARS_ABI, CHAIN_ID } from '../contracts/config';
+import { STARS_CONTRACT_ADDRESS, STARS_ABI, CHAIN_ID, getStarClaimTypedData } from '../contracts/config';
 
-export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
+export function ClaimStarsButton({ starsToClaim, onClaimSuccess, isSignedIn, signIn }) {
   const { address, isConnected } = useAccount();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [cooldownSeconds, setCooldownSeconds] = useState(0);
+  const [retrySeconds, setRetrySeconds] = useState(0);
   const [showHelp, setShowHelp] = useState(false);
   const hasCalledSuccess = useRef(false);
   const lastProcessedHash = useRef(null);
@@ -24,10 +25,20 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
 
   const { writeContract, data: hash, isPending: isWritePending, error: writeError } = useWriteContract();
 
-  const { isLoading: isTxPending, isSuccess: isTxSuccess } = useWaitForTransactionReceipt({
+  const { data: txReceipt, isLoading: isTxPending, isSuccess: isTxSuccess } = useWaitForTransactionReceipt({
     hash,
   });
 
+  // Signed claim kept until its transaction confirms (public/lib/receipts.js)
+  const pendingClaim = window.RoundReceipts ? window.RoundReceipts.loadPendingClaim(address) : null;
+
+  // The claim's rounds are settled: drop its receipts and the kept signature
+  const settleClaim = useCallback((claim) => {
+    if (!window.RoundReceipts || !claim) return;
+    window.RoundReceipts.removeReceipts(address, claim.rounds || []);
+    window.RoundReceipts.clearPendingClaim(address);
+  }, [address]);
+
   // Update cooldown countdown
   useEffect(() => {
     if (cooldownData) {
@@ -45,12 +56,30 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
     }
   }, [cooldownSeconds]);
 
+  // Server rate limit countdown
+  useEffect(() => {
+    if (retrySeconds > 0) {
+      const timer = setInterval(() => {
+        setRetrySeconds(prev => Math.max(0, prev - 1));
+      }, 1000);
+      return () => clearInterval(timer);
+    }
+  }, [retrySeconds]);
+
   // Handle success - only trigger once per unique transaction hash
   useEffect(() => {
     if (isTxSuccess && hash && hash !== lastProcessedHash.current) {
       lastProcessedHash.current = hash;
-      setSuccess(true);
       setLoading(false);
+
+      // Reverted: keep the signed claim so the next click retries it
+      if (txReceipt?.status !== 'success') {
+        setError('Transaction reverted');
+        return;
+      }
+
+      setSuccess(true);
+      settleClaim(window.RoundReceipts?.loadPendingClaim(address));
       
       // Reset stars on successful claim
       console.log('🎯 Claim success! Resetting stars...');
@@ -65,7 +94,7 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
         setSuccess(false);
       }, 3000);
     }
-  }, [isTxSuccess, hash, onClaimSuccess, refetchCooldown]);
+  }, [isTxSuccess, hash, txReceipt, address, settleClaim, onClaimSuccess, refetchCooldown]);
 
   // Handle write errors
   useEffect(() => {
@@ -96,7 +125,7 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
       return;
     }
 
-    if (!starsToClaim || starsToClaim <= 0) {
+    if (!pendingClaim && (!starsToClaim || starsToClaim <= 0)) {
       const msg = 'No stars to claim';
       setError(msg);
       alert(msg);
@@ -106,45 +135,123 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
     setLoading(true);
     setError(null);
 
+    // Submit a signed claim; it stays stored until the transaction confirms
+    const submitClaim = ({ signature, nonce, deadline, amount, scheme }) => {
+      console.log('✅ Got signature data:', { signature, nonce, deadline, amount, scheme });
+      if (scheme === 'eip712') {
+        // Exactly what the game signer authorized
+        console.log('📜 Signed StarClaim:', getStarClaimTypedData({ user: address, amount, nonce, deadline }));
+      }
+
+      // Call contract - this will open MetaMask
+      console.log('📝 Calling contract with args:', [amount, nonce, deadline, signature]);
+      console.log('📝 Contract will be called BY:', address);
+      console.log('📝 Signature was created FOR:', address);
+      console.log('⚠️  These MUST match or signature will fail!');
+      
+      writeContract({
+        address: STARS_CONTRACT_ADDRESS,
+        abi: STARS_ABI,
+        functionName: 'claimStars',
+        args: [amount, nonce, deadline, signature],
+      });
+      
+      console.log('✅ MetaMask prompt should appear!');
+      // Don't set loading false - wait for transaction to complete or fail
+    };
+
+    // A minute of slack so the transaction can still be mined in time
+    if (pendingClaim && pendingClaim.deadline > Date.now() / 1000 + 60) {
+      console.log('♻️ Retrying the stored signed claim');
+      submitClaim(pendingClaim);
+      return;
+    }
+
     try {
+      // The server only signs for the signed-in wallet
+      if (!isSignedIn) {
+        await signIn();
+      }
+
       console.log('📡 Requesting signature from API...');
       
-      // Request signature from your API
-      const response = await fetch('/api/claim-stars', {
+      // Round receipts the game stored (public/lib/receipts.js); without any the
+      // server falls back to its round ledger
+      const receipts = window.RoundReceipts ? window.RoundReceipts.loadReceipts(address) : [];
+
+      // Request signature from your API - for an expired stored claim, a
+      // renewal of the same rounds
+      const requestSignature = () => fetch('/api/claim-stars', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+        body: JSON.stringify(pendingClaim ? {
+          walletAddress: address,
+          renewNonce: pendingClaim.nonce,
+        } : {
           walletAddress: address,
           starsEarned: starsToClaim,
+          ...(receipts.length > 0 && { receipts: receipts.map(receipt => receipt.token) }),
         }),
       });
 
+      let response = await requestSignature();
+
+      // Session expired: sign in again and retry once
+      if (response.status === 401) {
+        await signIn();
+        response = await requestSignature();
+      }
+
       if (!response.ok) {
         const errorData = await response.json();
+        // Refused by the server's rate limit or the on-chain cooldown: count down instead of failing
+        if (response.status === 429) {
+          console.log('⏱️ Claim refused:', errorData);
+          if (errorData.reason === 'cooldown') {
+            setCooldownSeconds(errorData.retryAfter);
+            refetchCooldown();
+          } else {
+            setRetrySeconds(errorData.retryAfter);
+          }
+          setError(errorData.error);
+          setLoading(false);
+          return;
+        }
+        // The stored claim went through after all
+        if (errorData.claimed) {
+          settleClaim(pendingClaim);
+          if (onClaimSuccess) {
+            onClaimSuccess();
+          }
+          setLoading(false);
+          return;
+        }
+        // The stored claim can't be renewed: forget it so the next claim starts over
+        if (pendingClaim && (response.status === 404 || (response.status === 409 && errorData.deadline === undefined))) {
+          window.RoundReceipts.clearPendingClaim(address);
+        }
+        // A stored receipt was already spent or expired: forget it so the next claim goes through
+        if (errorData.roundId && window.RoundReceipts) {
+          window.RoundReceipts.removeReceipts(address, [errorData.roundId]);
+        }
+        // Ledger mismatch: tell the player how many stars the server recorded
+        if (errorData.serverStars !== undefined) {
+          throw new Error(`${errorData.error} (server recorded ${errorData.serverStars} ⭐)`);
+        }
         throw new Error(errorData.error || 'Failed to get signature');
       }
 
       const responseData = await response.json();
       console.log('🔍 Raw API response:', responseData);
       
-      const { signature, nonce, deadline, amount } = responseData;
-      console.log('✅ Got signature data:', { signature, nonce, deadline, amount });
+      const { signature, nonce, deadline, amount, scheme, rounds } = responseData;
 
-      // Call contract - this will open MetaMask
-      console.log('📝 Calling contract with args:', [amount, nonce, deadline, signature]);
-      console.log('📝 Contract will be called BY:', address);
-      console.log('📝 Signature was created FOR:', address);
-      console.log('⚠️  These MUST match or signature will fail!');
-      
-      writeContract({
-        address: STARS_CONTRACT_ADDRESS,
-        abi: STARS_ABI,
-        functionName: 'claimStars',
-        args: [amount, nonce, deadline, signature],
-      });
-      
-      console.log('✅ MetaMask prompt should appear!');
-      // Don't set loading false - wait for transaction to complete or fail
+      // The server spent these rounds when it signed: keep the claim (and the
+      // receipts) until the transaction confirms, so it can be retried
+      if (window.RoundReceipts) {
+        window.RoundReceipts.savePendingClaim(address, { signature, nonce, deadline, amount, scheme, rounds });
+      }
+      submitClaim({ signature, nonce, deadline, amount, scheme });
     } catch (err) {
       console.error('❌ Claim failed:', err);
       setError(err.message || 'Failed to claim stars');
@@ -154,8 +261,10 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
   }
 
   const isProcessing = loading || isWritePending || isTxPending;
-  const hasCooldown = cooldownSeconds > 0;
-  const isDisabled = !isConnected || isProcessing || starsToClaim <= 0 || hasCooldown;
+  const waitSeconds = Math.max(cooldownSeconds, retrySeconds);
+  const hasCooldown = waitSeconds > 0;
+  const hasStars = starsToClaim > 0 || !!pendingClaim;
+  const isDisabled = !isConnected || isProcessing || !hasStars || hasCooldown;
 
   // Don't render if not connected
   // Show during cooldown even if stars = 0 (so user sees countdown)
@@ -163,8 +272,8 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
     return null;
   }
 
-  // Hide if no stars AND no cooldown
-  if (starsToClaim <= 0 && !hasCooldown) {
+  // Hide if no stars (nor a claim to retry) AND no cooldown
+  if (!hasStars && !hasCooldown) {
     return null;
   }
 
@@ -175,7 +284,10 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
     if (hours > 0) {
       return `${hours}h ${minutes}m`;
     }
-    return `${minutes}m`;
+    if (minutes > 0) {
+      return `${minutes}m`;
+    }
+    return `${seconds}s`;
   };
 
   return (
@@ -214,7 +326,7 @@ export function ClaimStarsButton({ starsToClaim, onClaimSuccess }) {
           : success 
           ? '✅ Claimed!' 
           : hasCooldown 
-          ? `⏱️ ${formatCooldown(cooldownSeconds)}`
+          ? `⏱️ ${formatCooldown(waitSeconds)}`
           : '🌟 Claim'}
       </button>
 
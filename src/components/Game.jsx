@@ -4,6 +4,8 @@ import { useAccount } from 'wagmi';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
 import { ClaimStarsButton } from './ClaimStarsButton';
 import { ClaimChopsButton } from './ClaimChopsButton';
+import { RewardEstimate } from './RewardEstimate';
+import { useWalletSession } from './useWalletSession';
 
 function Game() {
   const { address, isConnected } = useAccount();
@@ -13,6 +15,10 @@ function Game() {
   const [claimChopsTarget, setClaimChopsTarget] = useState(null);
   const [starsToClaim, setStarsToClaim] = useState(0);
 
+  // Sign in with the wallet once after RainbowKit connects - rounds and
+  // claims are credited to the session's wallet
+  const { isSignedIn, signIn } = useWalletSession(address, isConnected);
+
   // Expose wallet state to window for vanilla JS game to access if needed
   useEffect(() => {
     window.walletAddress = address;
@@ -63,6 +69,10 @@ function Game() {
           const executeScripts = async () => {
             for (const script of scripts) {
               const newScript = document.createElement('script');
+              // Keep type="module" so shared ES modules (public/lib) load
+              if (script.type) {
+                newScript.type = script.type;
+              }
               if (script.src) {
                 // External script - load it
                 newScript.src = script.src;
@@ -146,6 +156,8 @@ function Game() {
       {gameLoaded && claimButtonTarget && createPortal(
         <ClaimStarsButton 
           starsToClaim={starsToClaim}
+          isSignedIn={isSignedIn}
+          signIn={signIn}
           onClaimSuccess={() => {
             // Reset star history and display using game's function
             // This will also trigger the MutationObserver to update React state
@@ -157,9 +169,12 @@ function Game() {
         claimButtonTarget
       )}
 
-      {/* Portal the ClaimChopsButton into the profile panel */}
+      {/* Portal the ClaimChopsButton and current epoch estimate into the profile panel */}
       {gameLoaded && claimChopsTarget && createPortal(
-        <ClaimChopsButton />,
+        <>
+          <ClaimChopsButton />
+          <RewardEstimate />
+        </>,
         claimChopsTarget
       )}
     </>
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { useAccount } from 'wagmi';
+import { ethers } from 'ethers';
+
+// Re-fetch the estimate this often while the panel is mounted
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Format time until the epoch ends
+function formatCountdown(seconds) {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) {
+    return `${days}d ${hours}h ${minutes}m`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  return `${minutes}m ${seconds % 60}s`;
+}
+
+/**
+ * Projected CHOPS payout for the current epoch, from /api/estimate-rewards
+ */
+export function RewardEstimate() {
+  const { address, isConnected } = useAccount();
+  const [estimate, setEstimate] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  // Fetch the estimate, then refresh periodically
+  useEffect(() => {
+    if (!isConnected || !address) return;
+
+    async function fetchEstimate() {
+      try {
+        const response = await fetch(`/api/estimate-rewards?address=${address}`);
+        if (response.ok) {
+          const data = await response.json();
+          setEstimate(data);
+          setSecondsLeft(data.secondsUntilEpochEnd);
+        } else {
+          setEstimate(null);
+        }
+      } catch (err) {
+        console.error('Failed to fetch reward estimate:', err);
+        setEstimate(null);
+      }
+    }
+
+    fetchEstimate();
+    const refresh = setInterval(fetchEstimate, REFRESH_INTERVAL_MS);
+    return () => clearInterval(refresh);
+  }, [address, isConnected]);
+
+  // Countdown timer
+  useEffect(() => {
+    if (secondsLeft > 0) {
+      const timer = setInterval(() => {
+        setSecondsLeft(prev => Math.max(0, prev - 1));
+      }, 1000);
+      return () => clearInterval(timer);
+    }
+  }, [secondsLeft]);
+
+  if (!isConnected || !estimate) {
+    return null;
+  }
+
+  const { projected } = estimate;
+
+  return (
+    <div style={{
+      marginTop: '15px',
+      padding: '15px',
+      background: 'rgba(0, 0, 0, 0.3)',
+      borderRadius: '8px',
+      fontSize: '14px',
+      color: '#fff',
+    }}>
+      <div style={{
+        fontWeight: 'bold',
+        marginBottom: '8px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px'
+      }}>
+        <span>📈 Epoch {estimate.epoch} Projection</span>
+        <span style={{
+          fontSize: '10px',
+          padding: '2px 6px',
+          borderRadius: '4px',
+          background: 'rgba(255, 215, 0, 0.25)',
+          color: '#ffd700',
+          textTransform: 'uppercase'
+        }}>
+          Estimate
+        </span>
+      </div>
+
+      {projected ? (
+        <>
+          <div style={{ fontSize: '13px', marginBottom: '4px' }}>
+            ~{Number(ethers.formatEther(projected.rewardAmount)).toFixed(0)} CHOPS
+          </div>
+          <div style={{ fontSize: '11px', color: '#aaa' }}>
+            Rank #{projected.rank} of {estimate.totalPlayers} • Top {projected.percentile}% • {projected.stars} ⭐
+          </div>
+          {estimate.starsToNextRank !== null && (
+            <div style={{ fontSize: '11px', color: '#aaa', marginTop: '4px' }}>
+              {estimate.starsToNextRank} more ⭐ to move up a rank
+            </div>
+          )}
+        </>
+      ) : (
+        <div style={{ fontSize: '12px', color: '#aaa' }}>
+          Claim stars this epoch to get a projected reward
+        </div>
+      )}
+
+      <div style={{ fontSize: '11px', color: '#aaa', marginTop: '8px' }}>
+        {secondsLeft > 0
+          ? `⏱️ Epoch ends in ${formatCountdown(secondsLeft)}`
+          : '⏱️ Epoch ending, rewards are being prepared'}
+      </div>
+      <div style={{ fontSize: '10px', color: '#888', marginTop: '4px' }}>
+        Based on current standings. Final rewards may differ.
+      </div>
+    </div>
+  );
+}
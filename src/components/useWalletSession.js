@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useSignMessage } from 'wagmi';
+
+/**
+ * Sign-in-with-Ethereum session for the connected wallet.
+ * The server keeps the session in an HTTP-only cookie, so this only tracks
+ * which address is signed in. Signs in automatically once per connected
+ * address; if the player rejects the prompt, signIn() can be called again.
+ * @returns {Object} { sessionAddress, isSignedIn, isSigningIn, signIn }
+ */
+export function useWalletSession(address, isConnected) {
+  const { signMessageAsync } = useSignMessage();
+  const [sessionAddress, setSessionAddress] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const attemptedAddress = useRef(null);
+
+  const signIn = useCallback(async () => {
+    if (!address) {
+      throw new Error('Please connect your wallet');
+    }
+
+    setIsSigningIn(true);
+    try {
+      const challengeResponse = await fetch('/api/auth-challenge', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address }),
+      });
+      const challenge = await challengeResponse.json();
+      if (!challengeResponse.ok) {
+        throw new Error(challenge.error || 'Failed to start sign-in');
+      }
+
+      // Opens the wallet's signing prompt
+      const signature = await signMessageAsync({ message: challenge.message });
+
+      const verifyResponse = await fetch('/api/auth-verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: challenge.message, signature }),
+      });
+      const session = await verifyResponse.json();
+      if (!verifyResponse.ok) {
+        throw new Error(session.error || 'Sign-in failed');
+      }
+
+      console.log('🔑 Signed in as', session.address);
+      setSessionAddress(session.address);
+      return session.address;
+    } finally {
+      setIsSigningIn(false);
+    }
+  }, [address, signMessageAsync]);
+
+  // Pick up an existing session, or sign in once after connecting
+  useEffect(() => {
+    if (!isConnected || !address) {
+      // Disconnected: end the server session too
+      if (sessionAddress) {
+        fetch('/api/auth-session', { method: 'DELETE' }).catch(() => {});
+        setSessionAddress(null);
+      }
+      attemptedAddress.current = null;
+      return;
+    }
+
+    let cancelled = false;
+
+    async function restoreOrSignIn() {
+      try {
+        const response = await fetch('/api/auth-session');
+        if (response.ok) {
+          const session = await response.json();
+          if (session.address.toLowerCase() === address.toLowerCase()) {
+            if (!cancelled) setSessionAddress(session.address);
+            return;
+          }
+        }
+      } catch (err) {
+        console.error('Session check failed:', err);
+      }
+
+      if (cancelled || attemptedAddress.current === address) return;
+      attemptedAddress.current = address;
+      setSessionAddress(null);
+
+      try {
+        await signIn();
+      } catch (err) {
+        console.log('Sign-in skipped:', err.shortMessage || err.message);
+      }
+    }
+
+    restoreOrSignIn();
+    return () => {
+      cancelled = true;
+    };
+  }, [address, isConnected]);
+
+  const isSignedIn = !!sessionAddress && !!address && sessionAddress.toLowerCase() === address.toLowerCase();
+
+  return { sessionAddress, isSignedIn, isSigningIn, signIn };
+}
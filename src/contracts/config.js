@@ -1,8 +1,27 @@
 // Frontend contract configuration (safe to expose)
-export const STARS_CONTRACT_ADDRESS = import.meta.env.VITE_STARS_CONTRACT_ADDRESS;
-export const CHOPS_CONTRACT_ADDRESS = import.meta.env.VITE_CHOPS_CONTRACT_ADDRESS;
-export const CHAIN_ID = Number(import.meta.env.VITE_CHAIN_ID);
-export const RPC_URL = import.meta.env.VITE_RPC_URL;
+import { resolveConfig } from '../../config/index.js';
+import { STAR_CLAIM_TYPES, STAR_CLAIM_PRIMARY_TYPE, starClaimDomain, starClaimTypedData } from './star-claim.js';
+
+// Network profile and overrides from VITE_* (config/index.js); vite.config.js
+// has already rejected an invalid set at build time
+const appConfig = resolveConfig(import.meta.env);
+
+export const NETWORK = appConfig.network;
+export const CHAIN = appConfig.chain;
+export const STARS_CONTRACT_ADDRESS = appConfig.contracts.stars;
+export const CHOPS_CONTRACT_ADDRESS = appConfig.contracts.chops;
+export const CHAIN_ID = appConfig.chainId;
+export const RPC_URL = appConfig.rpcUrl;
+export const EXPLORER_URL = appConfig.explorerUrl;
+
+// EIP-712 StarClaim definition (shared with the server signer)
+export { STAR_CLAIM_TYPES, STAR_CLAIM_PRIMARY_TYPE };
+export const STAR_CLAIM_DOMAIN = starClaimDomain(CHAIN_ID, STARS_CONTRACT_ADDRESS);
+
+/**
+ * Typed data for a claim on this deployment ({ user, amount, nonce, deadline })
+ */
+export const getStarClaimTypedData = (claim) => starClaimTypedData(claim, CHAIN_ID, STARS_CONTRACT_ADDRESS);
 
 export const STARS_ABI = [
   {
@@ -0,0 +1,52 @@
+// EIP-712 typed data for star claims (safe to expose)
+// Plain ES module with no Vite env access, so the server signer
+// (server/signer.js) imports the exact same definition as the frontend.
+//
+// A contract verifying it would hash:
+//   keccak256("StarClaim(address user,uint256 amount,uint256 nonce,uint256 deadline)")
+// under the domain { name, version, chainId, verifyingContract } below.
+
+export const STAR_CLAIM_DOMAIN_NAME = 'CapyChop Stars';
+export const STAR_CLAIM_DOMAIN_VERSION = '1';
+export const STAR_CLAIM_PRIMARY_TYPE = 'StarClaim';
+
+export const STAR_CLAIM_TYPES = {
+  StarClaim: [
+    { name: 'user', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain for the Stars contract on a chain
+ */
+export function starClaimDomain(chainId, verifyingContract) {
+  return {
+    name: STAR_CLAIM_DOMAIN_NAME,
+    version: STAR_CLAIM_DOMAIN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract
+  };
+}
+
+/**
+ * Full typed data for a claim, in the shape wallets (eth_signTypedData_v4),
+ * viem and ethers take
+ * @param {Object} claim - { user, amount, nonce, deadline }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+export function starClaimTypedData({ user, amount, nonce, deadline }, chainId, verifyingContract) {
+  return {
+    domain: starClaimDomain(chainId, verifyingContract),
+    types: STAR_CLAIM_TYPES,
+    primaryType: STAR_CLAIM_PRIMARY_TYPE,
+    message: {
+      user,
+      amount: BigInt(amount),
+      nonce: BigInt(nonce),
+      deadline: BigInt(deadline)
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStars, scoreLeftPct, scoreCut, imageRect, outlineMask } from '../public/lib/chop-engine.js';
+
+// The game (public/game.html) and the server (server/rounds.js) both score
+// through public/lib/chop-engine.js; these pin the thresholds both rely on.
+
+test('calculateStars thresholds', () => {
+  const cases = [
+    [0, 10],
+    [0.04, 10], // Displays as 0.0%
+    [0.05, 9],
+    [0.5, 9],
+    [0.54, 9],
+    [0.56, 8],
+    [1.0, 8],
+    [2.0, 7],
+    [5.0, 6],
+    [10.0, 5],
+    [15.0, 4],
+    [20.0, 3],
+    [30.0, 2],
+    [30.06, 1],
+    [100, 1]
+  ];
+  for (const [diff, stars] of cases) {
+    assert.equal(calculateStars(diff), stars, `diff ${diff}`);
+  }
+});
+
+test('scoreLeftPct scores the piece closest to the goal', () => {
+  const left = scoreLeftPct(27, 25);
+  assert.equal(left.closestIsLeft, true);
+  assert.equal(left.closestPct, 27);
+  assert.equal(left.diff, 2);
+  assert.equal(left.stars, 7);
+
+  const right = scoreLeftPct(70, 25);
+  assert.equal(right.closestIsLeft, false);
+  assert.equal(right.rightPct, 30);
+  assert.equal(right.closestPct, 30);
+  assert.equal(right.diff, 5);
+  assert.equal(right.stars, 6);
+});
+
+test('scoreCut splits an alpha mask along the cut line', () => {
+  const width = 4;
+  const height = 4;
+  const mask = new Uint8Array(width * height).fill(255);
+
+  // Angle 0: pixels above the vertical middle fall on the "left" side
+  const half = scoreCut({ mask, width, height, x: 2, angle: 0, goal: 50 });
+  assert.equal(half.totalOpaque, 16);
+  assert.equal(half.leftOpaque, 8);
+  assert.equal(half.leftPct, 50);
+  assert.equal(half.diff, 0);
+  assert.equal(half.stars, 10);
+
+  // Transparent pixels don't count
+  mask.fill(0, 0, 4);
+  const partial = scoreCut({ mask, width, height, x: 2, angle: 0, goal: 25 });
+  assert.equal(partial.totalOpaque, 12);
+  assert.equal(partial.leftOpaque, 4);
+  assert.equal(partial.stars, calculateStars(Math.abs(100 / 3 - 25)));
+
+  assert.throws(() => scoreCut({ mask, width: 3, height, x: 2, angle: 0, goal: 50 }), /does not match/);
+});
+
+test('imageRect fits the image like the game draws it', () => {
+  assert.deepEqual(imageRect(200, 100, 512), { x: -20, y: 143, width: 512, height: 256 });
+  assert.deepEqual(imageRect(100, 200, 512), { x: 108, y: 15, width: 256, height: 512 });
+});
+
+test('outlineMask grows opaque pixels by a circular radius', () => {
+  const width = 7;
+  const height = 7;
+  const mask = new Uint8Array(width * height);
+  mask[3 * width + 3] = 255;
+
+  const outlined = outlineMask(mask, width, height, 2);
+  const opaque = (x, y) => outlined[y * width + x] > 0;
+  assert.ok(opaque(3, 3));
+  assert.ok(opaque(5, 3) && opaque(3, 1));
+  assert.ok(opaque(4, 4)); // sqrt(2) away
+  assert.ok(!opaque(5, 5)); // sqrt(8) is outside a radius of 2
+  assert.equal(mask[3 * width + 4], 0, 'input untouched');
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConfig, ConfigError, NETWORKS } from '../config/index.js';
+
+// resolveConfig reports every problem at once, so one failed build or
+// server start lists all of them.
+
+const STARS = '0x' + 'aa'.repeat(20);
+
+const errorsOf = (env, options) => {
+  try {
+    resolveConfig(env, options);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    assert.equal(error.status, 500);
+    return error.errors;
+  }
+  assert.fail('expected a ConfigError');
+};
+
+test('the testnet profile resolves with no overrides', () => {
+  const config = resolveConfig({});
+
+  assert.equal(config.network, 'testnet');
+  assert.equal(config.chainId, NETWORKS.testnet.chain.id);
+  assert.equal(config.contracts.stars, NETWORKS.testnet.contracts.stars);
+  assert.equal(config.serverRpcUrl, undefined);
+});
+
+test('every invalid value is reported together', () => {
+  const errors = errorsOf({
+    VITE_NETWORK: 'local',
+    VITE_CHAIN_ID: 'abc',
+    VITE_RPC_URL: 'ftp://rpc.example',
+    VITE_STARS_CONTRACT_ADDRESS: '0x1234',
+    VITE_STARS_DEPLOY_BLOCK: '-1'
+  });
+
+  assert.deepEqual(errors, [
+    'VITE_CHAIN_ID "abc" is not a chain id',
+    'VITE_RPC_URL is not an http(s) URL',
+    'VITE_STARS_CONTRACT_ADDRESS "0x1234" is not an address',
+    'VITE_STARS_DEPLOY_BLOCK "-1" is not a block number'
+  ]);
+});
+
+test('an unknown network is refused', () => {
+  assert.match(errorsOf({ VITE_NETWORK: 'devnet' })[0], /VITE_NETWORK "devnet" is not one of local, testnet, mainnet/);
+});
+
+test('a URL error never echoes the URL, which may hold an API key', () => {
+  const errors = errorsOf({ RPC_URL: 'not a url/secret-key' }, { server: true });
+
+  assert.deepEqual(errors, ['RPC_URL is not an http(s) URL']);
+});
+
+test('the chain id must match the profile except on local', () => {
+  assert.match(errorsOf({ VITE_CHAIN_ID: '1' })[0], /VITE_CHAIN_ID 1 does not match the testnet profile/);
+  assert.equal(resolveConfig({ VITE_NETWORK: 'local', VITE_CHAIN_ID: '1337', VITE_STARS_CONTRACT_ADDRESS: STARS }).chainId, 1337);
+});
+
+test('a Stars contract is required when the profile has none', () => {
+  assert.match(errorsOf({ VITE_NETWORK: 'mainnet' })[0], /VITE_STARS_CONTRACT_ADDRESS is required on mainnet/);
+  assert.equal(resolveConfig({ VITE_NETWORK: 'mainnet', VITE_STARS_CONTRACT_ADDRESS: STARS }).contracts.stars, STARS);
+});
+
+test('the profile deploy block only applies to the profile contract', () => {
+  assert.equal(resolveConfig({ VITE_NETWORK: 'local', VITE_STARS_CONTRACT_ADDRESS: STARS }).deployBlock, 0);
+  assert.equal(resolveConfig({ VITE_NETWORK: 'local', VITE_STARS_CONTRACT_ADDRESS: STARS, VITE_STARS_DEPLOY_BLOCK: '42' }).deployBlock, 42);
+  assert.equal(resolveConfig({ VITE_STARS_CONTRACT_ADDRESS: STARS }).deployBlock, null);
+});
+
+test('replaced server variables are refused when they disagree', () => {
+  const errors = errorsOf({ STARS_CONTRACT_ADDRESS: STARS }, { server: true });
+  assert.deepEqual(errors, ['STARS_CONTRACT_ADDRESS is no longer read and disagrees with VITE_STARS_CONTRACT_ADDRESS; remove it']);
+
+  const { warnings } = resolveConfig({ STARS_CONTRACT_ADDRESS: NETWORKS.testnet.contracts.stars }, { server: true });
+  assert.ok(warnings.some(warning => /STARS_CONTRACT_ADDRESS is no longer read/.test(warning)));
+  // Not checked for the frontend
+  assert.doesNotThrow(() => resolveConfig({ STARS_CONTRACT_ADDRESS: STARS }));
+});
+
+test('the server warns when the indexer has no deploy block', () => {
+  const { warnings, serverRpcUrl, rpcUrl } = resolveConfig({}, { server: true });
+
+  assert.ok(warnings.some(warning => /VITE_STARS_DEPLOY_BLOCK is not set/.test(warning)));
+  assert.equal(serverRpcUrl, rpcUrl);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, cronMatches } from '../server/cron.js';
+
+// Schedules are matched in UTC, like Vercel runs them.
+
+const at = (iso) => new Date(`${iso}Z`);
+
+test('parses numbers, ranges, lists and steps', () => {
+  const schedule = parseCron('5/15 */6 1-3,10 * *');
+
+  assert.deepEqual([...schedule.minutes], [5, 20, 35, 50]);
+  assert.deepEqual([...schedule.hours], [0, 6, 12, 18]);
+  assert.deepEqual([...schedule.days], [1, 2, 3, 10]);
+  assert.equal(schedule.months.size, 12);
+  assert.equal(schedule.weekdays.size, 7);
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute field/);
+  assert.throws(() => parseCron('0 5-2 * * *'), /hour field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute field/);
+  assert.throws(() => parseCron('0 0 0 * *'), /day of month field/);
+});
+
+test('matches the minute it fires in', () => {
+  const schedule = parseCron('0 */2 * * *');
+
+  assert.equal(cronMatches(schedule, at('2026-03-02T04:00:00')), true);
+  assert.equal(cronMatches(schedule, at('2026-03-02T04:01:00')), false);
+  assert.equal(cronMatches(schedule, at('2026-03-02T05:00:00')), false);
+});
+
+test('with both day fields restricted, either one fires', () => {
+  // The 1st of the month, or any Monday
+  const schedule = parseCron('0 0 1 * 1');
+
+  assert.equal(schedule.eitherDay, true);
+  assert.equal(cronMatches(schedule, at('2026-03-01T00:00:00')), true); // Sunday the 1st
+  assert.equal(cronMatches(schedule, at('2026-03-02T00:00:00')), true); // Monday the 2nd
+  assert.equal(cronMatches(schedule, at('2026-03-03T00:00:00')), false);
+});
+
+test('a day field with a * step is unrestricted, so both must match', () => {
+  // Mondays on odd days of the month
+  const schedule = parseCron('0 0 */2 * 1');
+
+  assert.equal(schedule.eitherDay, false);
+  assert.equal(cronMatches(schedule, at('2026-03-09T00:00:00')), true); // Monday the 9th
+  assert.equal(cronMatches(schedule, at('2026-03-16T00:00:00')), false); // Monday the 16th
+  assert.equal(cronMatches(schedule, at('2026-03-11T00:00:00')), false); // Wednesday the 11th
+});
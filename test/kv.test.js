@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStore, createFileStore } from '../server/kv.js';
+
+// The memory and file stores must behave like the REST store (Redis) for
+// the parts the server relies on. TTLs here are fractions of a second.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function withStores(name, fn) {
+  test(`${name} (memory store)`, () => fn(createMemoryStore()));
+  test(`${name} (file store)`, async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-test-'));
+    try {
+      await fn(createFileStore(dir));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+}
+
+withStores('set with a TTL expires the value', async (store) => {
+  await store.set('round:a', { status: 'open' }, 0.05);
+  await store.set('round:b', { status: 'open' });
+  assert.deepEqual(await store.get('round:a'), { status: 'open' });
+
+  await sleep(80);
+  assert.equal(await store.get('round:a'), null);
+  assert.deepEqual(await store.get('round:b'), { status: 'open' });
+  assert.deepEqual(await store.keys('round:'), ['round:b']);
+});
+
+withStores('set without a TTL clears an earlier one', async (store) => {
+  await store.set('key', 1, 0.05);
+  await store.set('key', 2);
+  await sleep(80);
+  assert.equal(await store.get('key'), 2);
+});
+
+withStores('setIfAbsent writes over an expired value only', async (store) => {
+  assert.equal(await store.setIfAbsent('lock', 'first', 0.05), true);
+  assert.equal(await store.setIfAbsent('lock', 'second', 0.05), false);
+  assert.equal(await store.get('lock'), 'first');
+
+  await sleep(80);
+  assert.equal(await store.setIfAbsent('lock', 'third'), true);
+  assert.equal(await store.get('lock'), 'third');
+});
+
+withStores('incr keeps the TTL of the counter it created', async (store) => {
+  assert.equal(await store.incr('counter', 0.05), 1);
+  assert.equal(await store.incr('counter', 10), 2);
+  await sleep(80);
+  assert.equal(await store.incr('counter', 0.05), 1);
+});
+
+withStores('incr counts from 1 without losing concurrent updates', async (store) => {
+  const values = await Promise.all(Array.from({ length: 20 }, () => store.incr('counter')));
+
+  assert.deepEqual(values.sort((a, b) => a - b), Array.from({ length: 20 }, (_, index) => index + 1));
+  assert.equal(await store.get('counter'), 20);
+});
+
+withStores('setIfAbsent lets exactly one concurrent writer win', async (store) => {
+  const results = await Promise.all(Array.from({ length: 10 }, (_, index) => store.setIfAbsent('key', { writer: index })));
+
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.deepEqual(await store.get('key'), { writer: results.indexOf(true) });
+});
+
+test('file stores sharing a directory share counters and SET NX', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kv-test-'));
+  try {
+    // Two instances stand in for two processes
+    const stores = [createFileStore(dir), createFileStore(dir)];
+    const values = await Promise.all(Array.from({ length: 20 }, (_, index) => stores[index % 2].incr('counter')));
+    assert.equal(new Set(values).size, 20);
+    assert.equal(Math.max(...values), 20);
+
+    const results = await Promise.all(stores.map((store, index) => store.setIfAbsent('key', index)));
+    assert.equal(results.filter(Boolean).length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
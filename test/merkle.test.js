@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { hashLeaf, generateMerkleTree, verifyProof, checkContractCompatibility } from '../server/rewards.js';
+
+// claimChops checks keccak256(abi.encodePacked(msg.sender, amount)) against
+// the epoch root with OpenZeppelin's MerkleProof, which hashes each pair in
+// sorted order. Rewards files must verify the same way.
+
+const address = (n) => ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+const rewardsFor = (count) => Array.from({ length: count }, (_, index) => ({
+  address: address(index + 1),
+  rewardAmount: String(BigInt(index + 1) * 10n ** 18n)
+}));
+const hashPair = (a, b) => ethers.keccak256(ethers.concat(BigInt(a) <= BigInt(b) ? [a, b] : [b, a]));
+
+test('leaf is keccak256 of the packed address and uint256', () => {
+  const amount = 1234n * 10n ** 18n;
+  const packed = ethers.concat([address(7), ethers.zeroPadValue(ethers.toBeHex(amount), 32)]);
+
+  assert.equal(hashLeaf(address(7), amount.toString()), ethers.keccak256(packed));
+});
+
+test('root of two leaves is the hash of the sorted pair', () => {
+  const rewards = rewardsFor(2);
+  const [first, second] = rewards.map(reward => hashLeaf(reward.address, reward.rewardAmount));
+  const { root, rewards: withProofs } = generateMerkleTree(rewards);
+
+  assert.equal(root, hashPair(first, second));
+  assert.deepEqual(withProofs[0].proof, [second]);
+  assert.deepEqual(withProofs[1].proof, [first]);
+});
+
+test('every proof verifies for trees of any size', () => {
+  for (const count of [1, 2, 3, 5, 8, 13]) {
+    const { root, rewards } = generateMerkleTree(rewardsFor(count));
+    const output = { merkleRoot: root, rewards };
+
+    assert.deepEqual(checkContractCompatibility(output), { compatible: true, checked: count, failures: [] });
+  }
+});
+
+test('a changed amount, address or proof fails', () => {
+  const { root, rewards } = generateMerkleTree(rewardsFor(5));
+  const [reward] = rewards;
+
+  assert.equal(verifyProof(root, reward.address, reward.rewardAmount, reward.proof), true);
+  assert.equal(verifyProof(root, reward.address, String(BigInt(reward.rewardAmount) + 1n), reward.proof), false);
+  assert.equal(verifyProof(root, address(99), reward.rewardAmount, reward.proof), false);
+  assert.equal(verifyProof(root, reward.address, reward.rewardAmount, reward.proof.slice(1)), false);
+
+  const tampered = { merkleRoot: root, rewards: rewards.map((entry, index) => index === 2 ? { ...entry, rewardAmount: '1' } : entry) };
+  assert.deepEqual(checkContractCompatibility(tampered), { compatible: false, checked: 5, failures: [rewards[2].address] });
+});
+
+test('the published epoch 7 file verifies', () => {
+  const output = JSON.parse(fs.readFileSync(new URL('../epoch-7-rewards.json', import.meta.url), 'utf8'));
+
+  assert.equal(checkContractCompatibility(output).compatible, true);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createMemoryStore } from '../server/kv.js';
+import {
+  allocateNonce,
+  markNonceRenewed,
+  unmarkNonceRenewed,
+  voidNonce,
+  getNonce,
+  getWalletNonces,
+  markNoncesConsumed
+} from '../server/nonces.js';
+
+// Nonces come from one counter in the state store, so concurrent claims
+// never share one, and each is tracked until its StarsClaimed event lands.
+
+const WALLET = ethers.getAddress('0x' + '11'.repeat(20));
+const OTHER = ethers.getAddress('0x' + '22'.repeat(20));
+
+const claimEvent = (nonce, user, amount) => ({
+  args: { nonce: BigInt(nonce), user, amount: BigInt(amount), epoch: 3n },
+  transactionHash: '0x' + 'ab'.repeat(32),
+  blockNumber: 100
+});
+
+test('concurrent claims get distinct nonces above every timestamp nonce', async () => {
+  const store = createMemoryStore();
+  const startedAt = Date.now() * 1000;
+
+  const nonces = await Promise.all(Array.from({ length: 10 }, () => allocateNonce(WALLET, 5, store)));
+
+  assert.equal(new Set(nonces).size, 10);
+  assert.ok(nonces.every(nonce => nonce > startedAt));
+  assert.deepEqual((await getWalletNonces(WALLET, store)).map(record => record.nonce), [...nonces].sort((a, b) => a - b));
+  assert.deepEqual(await getWalletNonces(OTHER, store), []);
+});
+
+test('the counter is never moved back once it exists', async () => {
+  const store = createMemoryStore();
+  const first = await allocateNonce(WALLET, 1, store);
+  await store.set('nonce:counter', first + 1000);
+
+  assert.equal(await allocateNonce(WALLET, 1, store), first + 1001);
+});
+
+test('a nonce is renewed only once, and again after an undo', async () => {
+  const store = createMemoryStore();
+  const nonce = await allocateNonce(WALLET, 5, store);
+
+  const results = await Promise.all([markNonceRenewed(nonce, store), markNonceRenewed(nonce, store)]);
+  assert.deepEqual(results.sort(), [false, true]);
+  assert.equal((await getNonce(nonce, store)).status, 'renewed');
+
+  await unmarkNonceRenewed(nonce, store);
+  assert.equal((await getNonce(nonce, store)).status, 'issued');
+  assert.equal(await markNonceRenewed(nonce, store), true);
+});
+
+test('only issued nonces are voided', async () => {
+  const store = createMemoryStore();
+  const nonce = await allocateNonce(WALLET, 5, store);
+  await markNonceRenewed(nonce, store);
+
+  await voidNonce(nonce, store);
+  assert.equal((await getNonce(nonce, store)).status, 'renewed');
+
+  const unused = await allocateNonce(WALLET, 5, store);
+  await voidNonce(unused, store);
+  assert.equal((await getNonce(unused, store)).status, 'void');
+});
+
+test('claim events consume matching nonces and flag mismatches', async () => {
+  const store = createMemoryStore();
+  const matching = await allocateNonce(WALLET, 5, store);
+  const wrongAmount = await allocateNonce(WALLET, 5, store);
+
+  const updated = await markNoncesConsumed([
+    claimEvent(matching, WALLET, 5),
+    claimEvent(wrongAmount, WALLET, 50),
+    // Signed before the registry existed
+    claimEvent(12345, WALLET, 5)
+  ], store);
+
+  assert.equal(updated, 2);
+  assert.equal((await getNonce(matching, store)).status, 'consumed');
+  assert.equal((await getNonce(matching, store)).epoch, 3);
+  assert.equal((await getNonce(wrongAmount, store)).status, 'mismatch');
+  assert.equal(await getNonce(12345, store), null);
+
+  // Seen again after a rescan: left as it is
+  assert.equal(await markNoncesConsumed([claimEvent(matching, WALLET, 5)], store), 0);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../server/kv.js';
+import { parseLimit, getClientIp, checkRateLimit, RateLimitError } from '../server/rate-limit.js';
+
+// Fixed windows counted in the state store, and the client IP only taken
+// from headers a trusted hop wrote.
+
+const request = (headers = {}) => ({ headers, socket: { remoteAddress: '10.0.0.9' } });
+
+test('parseLimit reads <max>/<window seconds>', () => {
+  assert.deepEqual(parseLimit('3/600'), { max: 3, windowSeconds: 600 });
+  for (const limit of ['3', '0/600', '3/0', 'x/600', '1.5/60']) {
+    assert.throws(() => parseLimit(limit), /Invalid rate limit/, limit);
+  }
+});
+
+test('a window allows max requests, then refuses until it ends', async (t) => {
+  const store = createMemoryStore();
+  const limit = { max: 3, windowSeconds: 60 };
+  // 20s into a 60s window
+  const now = t.mock.method(Date, 'now', () => 1_800_000_020_000);
+
+  for (let i = 0; i < 3; i++) {
+    await checkRateLimit('claim:wallet', '0xAbC', limit, store);
+  }
+  await assert.rejects(checkRateLimit('claim:wallet', '0xabc', limit, store), (error) => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.reason, 'rate-limit');
+    assert.equal(error.retryAfter, 40);
+    return true;
+  });
+
+  // Other ids and scopes count separately
+  await checkRateLimit('claim:wallet', '0xdef', limit, store);
+  await checkRateLimit('claim:ip', '0xabc', limit, store);
+
+  // The next window starts from zero
+  now.mock.mockImplementation(() => 1_800_000_060_000);
+  await checkRateLimit('claim:wallet', '0xabc', limit, store);
+});
+
+test('x-forwarded-for is ignored without trusted proxies', () => {
+  const req = request({ 'x-forwarded-for': '1.1.1.1', 'x-real-ip': '2.2.2.2' });
+
+  assert.equal(getClientIp(req, {}), '10.0.0.9');
+});
+
+test('with trusted proxies the entry the outermost one appended is used', () => {
+  // The client sent 6.6.6.6 itself; proxies appended 1.1.1.1 then 3.3.3.3
+  const req = request({ 'x-forwarded-for': '6.6.6.6, 1.1.1.1, 3.3.3.3' });
+
+  assert.equal(getClientIp(req, { TRUSTED_PROXY_HOPS: '1' }), '3.3.3.3');
+  assert.equal(getClientIp(req, { TRUSTED_PROXY_HOPS: '2' }), '1.1.1.1');
+  // More hops than entries: the first one
+  assert.equal(getClientIp(request({ 'x-forwarded-for': '1.1.1.1' }), { TRUSTED_PROXY_HOPS: '2' }), '1.1.1.1');
+  assert.equal(getClientIp(request(), { TRUSTED_PROXY_HOPS: '1' }), '10.0.0.9');
+});
+
+test('on Vercel the platform x-real-ip is used', () => {
+  const req = request({ 'x-real-ip': '2.2.2.2', 'x-forwarded-for': '6.6.6.6' });
+
+  assert.equal(getClientIp(req, { VERCEL: '1' }), '2.2.2.2');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { createMemoryStore } from '../server/kv.js';
+import { signData, readSignedData } from '../server/auth.js';
+import { startRound, submitRoundResult, claimReceiptStars, RECEIPT_TTL_MS } from '../server/rounds.js';
+import { getRoundMask } from '../server/round-masks.js';
+import { knifeAt, scoreCut } from '../public/lib/chop-engine.js';
+
+// Round receipts are signData tokens under their own purpose. A claim only
+// accepts untampered receipts for the session's wallet, before they expire;
+// the checks below all run before anything is signed on chain.
+
+process.env.SESSION_SECRET = 'receipts-test-secret';
+
+const WALLET = ethers.getAddress('0x' + '11'.repeat(20));
+const OTHER = ethers.getAddress('0x' + '22'.repeat(20));
+const CHOP_TICK = 40;
+
+// Play a round the way the game does: chop at CHOP_TICK and report the cut
+async function playRound(store) {
+  const round = await startRound(WALLET, store);
+  const { mask, width, height } = getRoundMask(round.image);
+  const { x, angle } = knifeAt(CHOP_TICK, width);
+  const { leftPct } = scoreCut({ mask, width, height, x, angle, goal: round.goal });
+  return submitRoundResult(round.roundId, WALLET, { leftPct, chopTick: CHOP_TICK }, store);
+}
+
+const rejectsWith = (promise, message, status) => assert.rejects(promise, (error) => {
+  assert.match(error.message, message);
+  assert.equal(error.status, status);
+  return true;
+});
+
+test('signed data reads back only untampered and for its own purpose', () => {
+  const token = signData({ roundId: 'r1', stars: 3 }, 'round-receipt');
+
+  assert.deepEqual(readSignedData(token, 'round-receipt'), { roundId: 'r1', stars: 3 });
+  assert.equal(readSignedData(token), null);
+  assert.equal(readSignedData(token, 'other'), null);
+
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ roundId: 'r1', stars: 300 })).toString('base64url');
+  assert.equal(readSignedData(`${forged}.${signature}`, 'round-receipt'), null);
+  assert.equal(readSignedData('not-a-token', 'round-receipt'), null);
+});
+
+test('a completed round comes with a receipt for its wallet and result', async () => {
+  const store = createMemoryStore();
+  const result = await playRound(store);
+  const { token, ...receipt } = result.receipt;
+
+  assert.equal(receipt.roundId, result.roundId);
+  assert.equal(receipt.wallet, WALLET);
+  assert.equal(receipt.stars, result.stars);
+  assert.equal(receipt.expiresAt, receipt.completedAt + RECEIPT_TTL_MS);
+  assert.deepEqual(readSignedData(token, 'round-receipt'), receipt);
+});
+
+test('receipts that were altered, issued to another wallet or repeated are refused', async () => {
+  const store = createMemoryStore();
+  const { receipt } = await playRound(store);
+  const [, signature] = receipt.token.split('.');
+  const { token, ...data } = receipt;
+  const altered = `${Buffer.from(JSON.stringify({ ...data, stars: 3 })).toString('base64url')}.${signature}`;
+
+  await rejectsWith(claimReceiptStars(WALLET, [altered], store), /Invalid round receipt/, 400);
+  await rejectsWith(claimReceiptStars(WALLET, [signData(data)], store), /Invalid round receipt/, 400);
+  await rejectsWith(claimReceiptStars(OTHER, [token], store), /different wallet/, 403);
+  await rejectsWith(claimReceiptStars(WALLET, [token, token], store), /Duplicate round receipt/, 400);
+  await rejectsWith(claimReceiptStars(WALLET, [], store), /No receipts/, 400);
+});
+
+test('receipts expire after RECEIPT_TTL_MS', async (t) => {
+  const store = createMemoryStore();
+  const { receipt } = await playRound(store);
+
+  const later = receipt.expiresAt + 1;
+  t.mock.method(Date, 'now', () => later);
+  await rejectsWith(claimReceiptStars(WALLET, [receipt.token], store), /Round receipt expired/, 410);
+});
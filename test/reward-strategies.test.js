@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STRATEGIES, resolveStrategy, getEpochRewardConfig } from '../server/reward-strategies.js';
+
+// Strategies get players sorted by stars with their 1-based position and
+// return one weight per player; config/rewards.json picks one per epoch.
+
+const ranked = (stars) => stars.map((count, index) => ({ address: `0x${index + 1}`, stars: count, position: index + 1 }));
+const weigh = (name, stars, params) => {
+  const strategy = resolveStrategy(name, params);
+  return strategy.weigh(ranked(stars), strategy.params);
+};
+
+test('rank-power weighs by position, not stars', () => {
+  assert.deepEqual(weigh('rank-power', [100, 2, 1], { exponent: 2 }), [9, 4, 1]);
+  assert.deepEqual(weigh('rank-power', [5, 5, 5], { exponent: 1 }), [3, 2, 1]);
+});
+
+test('proportional and sqrt-stars weigh by stars', () => {
+  assert.deepEqual(weigh('proportional', [9, 4, 1]), [9, 4, 1]);
+  assert.deepEqual(weigh('sqrt-stars', [9, 4, 1]), [3, 2, 1]);
+});
+
+test('tiered brackets reach down to their share of players', () => {
+  // 10 players: top 10% is 1 player, top 50% is 5
+  const weights = weigh('tiered', [10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  assert.deepEqual(weights, [10, 3, 3, 3, 3, 1, 1, 1, 1, 1]);
+
+  // Players past the last bracket get nothing
+  assert.deepEqual(weigh('tiered', [3, 2, 1, 1], { tiers: [{ top: 0.5, weight: 2 }] }), [2, 2, 0, 0]);
+});
+
+test('top-n-floor splits the floor evenly and the rest among the top N', () => {
+  const weights = weigh('top-n-floor', [6, 2, 1, 1], { topN: 2, floorShare: 0.2 });
+
+  assert.deepEqual(weights.map(weight => Number(weight.toFixed(6))), [0.65, 0.25, 0.05, 0.05]);
+  assert.equal(Number(weights.reduce((sum, weight) => sum + weight, 0).toFixed(9)), 1);
+});
+
+test('every strategy returns one non-negative weight per player', () => {
+  for (const name of Object.keys(STRATEGIES)) {
+    const weights = weigh(name, [50, 20, 20, 5, 1]);
+    assert.equal(weights.length, 5, name);
+    assert.ok(weights.every(weight => Number.isFinite(weight) && weight >= 0), name);
+  }
+});
+
+test('resolveStrategy fills in defaults and rejects unknown names', () => {
+  assert.deepEqual(resolveStrategy('rank-power').params, { exponent: 1.5 });
+  assert.deepEqual(resolveStrategy('rank-power', { exponent: 2 }).params, { exponent: 2 });
+  assert.throws(() => resolveStrategy('winner-takes-all'), /Unknown reward strategy "winner-takes-all"/);
+});
+
+test('epoch entries merge over the default', () => {
+  const config = {
+    default: { totalEmission: 10000, strategy: 'rank-power', params: { exponent: 1.5 } },
+    epochs: {
+      3: { totalEmission: 500 },
+      4: { params: { exponent: 2 } },
+      5: { strategy: 'top-n-floor', params: { topN: 3 } }
+    }
+  };
+
+  assert.deepEqual(getEpochRewardConfig(1, config), { totalEmission: 10000, strategy: 'rank-power', params: { exponent: 1.5 } });
+  assert.deepEqual(getEpochRewardConfig(3, config), { totalEmission: 500, strategy: 'rank-power', params: { exponent: 1.5 } });
+  assert.deepEqual(getEpochRewardConfig(4, config), { totalEmission: 10000, strategy: 'rank-power', params: { exponent: 2 } });
+  // Switching strategy drops the default strategy's params
+  assert.deepEqual(getEpochRewardConfig(5, config), { totalEmission: 10000, strategy: 'top-n-floor', params: { topN: 3 } });
+});
+
+test('a config naming an unknown strategy fails early', () => {
+  const config = { default: { totalEmission: 1, strategy: 'rank-power' }, epochs: { 2: { strategy: 'typo' } } };
+
+  assert.throws(() => getEpochRewardConfig(2, config), /Unknown reward strategy "typo"/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { allocateRewards, buildEpochRewards, validateRewardsFile } from '../server/rewards.js';
+import { STRATEGIES } from '../server/reward-strategies.js';
+
+// Allocation rules from server/rewards.js: ties are paid identically, dust
+// goes 1 wei per member to whole tie groups, and paid + undistributed dust
+// is exactly the emission.
+
+const address = (n) => ethers.getAddress('0x' + n.toString(16).padStart(40, '0'));
+const players = (stars) => stars.map((count, index) => ({ address: address(index + 1), stars: count }));
+const amountsOf = (rewards) => new Map(rewards.map(reward => [reward.address, BigInt(reward.rewardAmount)]));
+
+test('tied players share a rank and the same amount', () => {
+  const { rewards } = allocateRewards(players([9, 5, 5, 5, 1]), { totalEmission: 100, strategy: 'rank-power' });
+
+  assert.deepEqual(rewards.map(reward => reward.rank), [1, 2, 2, 2, 5]);
+  const tied = rewards.filter(reward => reward.rank === 2).map(reward => reward.rewardAmount);
+  assert.equal(new Set(tied).size, 1);
+});
+
+test('dust that no tie group can split is reported, not paid', () => {
+  // 10 wei over three tied players: 3 each, 1 wei left
+  const { rewards, totalPaidWei, undistributedDustWei } = allocateRewards(players([4, 4, 4]), {
+    totalEmission: '0.00000000000000001',
+    strategy: 'proportional'
+  });
+
+  assert.deepEqual(rewards.map(reward => reward.rewardAmount), ['3', '3', '3']);
+  assert.equal(totalPaidWei, 9n);
+  assert.equal(undistributedDustWei, 1n);
+});
+
+test('dust goes to whole tie groups in rank order', () => {
+  // 11 wei, equal weights: floor 2 each (10), 1 wei dust. The tied pair at
+  // the top can't take it, so the single player below them does.
+  const { rewards, undistributedDustWei } = allocateRewards(players([7, 7, 3, 3, 1]), {
+    totalEmission: '0.000000000000000011',
+    strategy: 'tiered',
+    params: { tiers: [{ top: 1, weight: 1 }] }
+  });
+  const amounts = amountsOf(rewards);
+
+  assert.equal(amounts.get(address(1)), amounts.get(address(2)));
+  assert.equal(amounts.get(address(3)), amounts.get(address(4)));
+  assert.equal(amounts.get(address(5)), 3n);
+  assert.equal(undistributedDustWei, 0n);
+});
+
+test('every strategy pays the emission exactly', () => {
+  // Deterministic star counts with plenty of ties
+  const stars = Array.from({ length: 37 }, (_, index) => (index * 7919) % 13 + 1);
+
+  for (const strategy of Object.keys(STRATEGIES)) {
+    for (const totalEmission of [10000, '1234.567890123456789', '0.000000000000000999']) {
+      const { rewards, totalPaidWei, undistributedDustWei } = allocateRewards(players(stars), { totalEmission, strategy });
+      const paid = rewards.reduce((sum, reward) => sum + BigInt(reward.rewardAmount), 0n);
+
+      assert.equal(paid, totalPaidWei, strategy);
+      assert.equal(totalPaidWei + undistributedDustWei, ethers.parseEther(String(totalEmission)), strategy);
+
+      const byRank = new Map();
+      for (const reward of rewards) {
+        if (!byRank.has(reward.rank)) byRank.set(reward.rank, new Set());
+        byRank.get(reward.rank).add(reward.rewardAmount);
+      }
+      assert.ok([...byRank.values()].every(amounts => amounts.size === 1), `${strategy}: ties differ`);
+      // Dust only stays behind when it is smaller than every tie group
+      const smallestGroup = Math.min(...[...byRank.keys()].map(rank => rewards.filter(reward => reward.rank === rank).length));
+      assert.ok(undistributedDustWei < BigInt(smallestGroup), strategy);
+    }
+  }
+});
+
+test('rewards file records paid and undistributed wei that add up to the emission', () => {
+  const output = buildEpochRewards(3, players([5, 5, 2]), { totalEmission: 10, strategy: 'rank-power' });
+
+  assert.equal(BigInt(output.totalPaidWei) + BigInt(output.undistributedDustWei), ethers.parseEther('10'));
+  assert.deepEqual(validateRewardsFile(output, 3), []);
+});
@@ -1,17 +1,25 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { resolveConfig } from './config/index.js'
 
-export default defineConfig({
-  plugins: [react()],
-  publicDir: 'public',
-  build: {
-    outDir: 'dist',
-  },
-  server: {
-    proxy: {
-      '/api': {
-        target: 'http://localhost:3000',
-        changeOrigin: true,
+export default defineConfig(({ mode }) => {
+  // Validate the network config (config/index.js) the bundle will be built with;
+  // throws a ConfigError listing every bad value
+  const appConfig = resolveConfig(loadEnv(mode, process.cwd(), 'VITE_'))
+  console.log(`🌐 Building for ${appConfig.network} (chain ${appConfig.chainId}), Stars ${appConfig.contracts.stars} (deploy block ${appConfig.deployBlock ?? 'not set'})`)
+
+  return {
+    plugins: [react()],
+    publicDir: 'public',
+    build: {
+      outDir: 'dist',
+    },
+    server: {
+      proxy: {
+        '/api': {
+          target: 'http://localhost:3000',
+          changeOrigin: true,
+        }
       }
     }
   }